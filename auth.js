@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+
+// Admin credentials come from the environment:
+//   ADMIN_USERNAME       - login name (default: admin)
+//   ADMIN_PASSWORD_HASH  - output of `npm run hash-admin-password -- <password>`
+//   ADMIN_API_KEY        - alternative to a password, e.g. for scripts
+//   ADMIN_TOKEN_SECRET   - key used to sign admin tokens (random per process if unset,
+//                          so it is required when several processes share a state store)
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
+const TOKEN_SECRET = process.env.ADMIN_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+const TOKEN_TTL_SECONDS = 12 * 60 * 60;
+
+// Failed logins allowed per IP within the window
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const failedLogins = {};
+
+function isConfigured() {
+    return Boolean(process.env.ADMIN_PASSWORD_HASH || process.env.ADMIN_API_KEY);
+}
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt:${salt}:${hash}`;
+}
+
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = String(storedHash || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const candidate = crypto.scryptSync(String(password), salt, 64).toString('hex');
+    return safeEqual(candidate, hash);
+}
+
+function checkCredentials({ username, password, apiKey } = {}) {
+    if (apiKey && process.env.ADMIN_API_KEY) {
+        return safeEqual(apiKey, process.env.ADMIN_API_KEY);
+    }
+    if (password && process.env.ADMIN_PASSWORD_HASH) {
+        return safeEqual(username || '', ADMIN_USERNAME) &&
+            verifyPassword(password, process.env.ADMIN_PASSWORD_HASH);
+    }
+    return false;
+}
+
+// base64url by hand, Buffer only supports it natively from Node 15.7
+function toBase64Url(text) {
+    return Buffer.from(text, 'utf8').toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    return Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', TOKEN_SECRET).update(payload).digest('hex');
+}
+
+function issueAdminToken(username = ADMIN_USERNAME) {
+    const payload = toBase64Url(JSON.stringify({
+        sub: username,
+        exp: Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS
+    }));
+    return `${payload}.${sign(payload)}`;
+}
+
+// Returns the token's claims, or null if it is malformed, forged or expired
+function verifyAdminToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature || !safeEqual(signature, sign(payload))) return null;
+
+    try {
+        const claims = JSON.parse(fromBase64Url(payload));
+        if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+        return claims;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Seconds until the IP may try again, or 0 if it is not locked out
+function getLoginRetryAfter(ip) {
+    const entry = failedLogins[ip];
+    if (!entry) return 0;
+
+    const elapsed = Date.now() - entry.firstAttempt;
+    if (elapsed > LOGIN_WINDOW_MS) {
+        delete failedLogins[ip];
+        return 0;
+    }
+    return entry.count >= MAX_FAILED_LOGINS ? Math.ceil((LOGIN_WINDOW_MS - elapsed) / 1000) : 0;
+}
+
+function recordFailedLogin(ip) {
+    const entry = failedLogins[ip];
+    if (!entry || Date.now() - entry.firstAttempt > LOGIN_WINDOW_MS) {
+        failedLogins[ip] = { count: 1, firstAttempt: Date.now() };
+    } else {
+        entry.count++;
+    }
+}
+
+function clearFailedLogins(ip) {
+    delete failedLogins[ip];
+}
+
+module.exports = {
+    ADMIN_USERNAME,
+    isConfigured,
+    hashPassword,
+    verifyPassword,
+    checkCredentials,
+    issueAdminToken,
+    verifyAdminToken,
+    getLoginRetryAfter,
+    recordFailedLogin,
+    clearFailedLogins
+};
+
+// `node auth.js <password>` prints a value for ADMIN_PASSWORD_HASH
+if (require.main === module) {
+    const password = process.argv[2];
+    if (!password) {
+        console.error('Usage: node auth.js <password>');
+        process.exit(1);
+    }
+    console.log(hashPassword(password));
+}
@@ -0,0 +1,51 @@
+const fs = require('fs');
+
+// Words masked in chat, configured on the server:
+//   CHAT_FILTER_WORDS  - comma-separated words
+//   CHAT_FILTER_FILE   - path to a JSON file holding an array of words
+const MAX_MESSAGE_LENGTH = 100;
+
+function loadFilterWords() {
+    const words = (process.env.CHAT_FILTER_WORDS || '').split(',');
+
+    if (process.env.CHAT_FILTER_FILE) {
+        try {
+            const fileWords = JSON.parse(fs.readFileSync(process.env.CHAT_FILTER_FILE, 'utf8'));
+            if (Array.isArray(fileWords)) {
+                words.push(...fileWords);
+            } else {
+                console.error('Chat filter file must hold an array of words');
+            }
+        } catch (error) {
+            console.error('Could not load chat filter file:', error.message);
+        }
+    }
+
+    return [...new Set(words
+        .filter(word => typeof word === 'string')
+        .map(word => word.trim().toLowerCase())
+        .filter(word => word.length > 0))];
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const filterWords = loadFilterWords();
+
+// Whole words only, with an optional plural ending
+const filterPattern = filterWords.length > 0
+    ? new RegExp(`\\b(?:${filterWords.map(escapeRegExp).join('|')})(?:s|es)?\\b`, 'gi')
+    : null;
+
+// Replaces every filtered word with asterisks of the same length
+function maskMessage(text) {
+    if (!filterPattern) return text;
+    return text.replace(filterPattern, match => '*'.repeat(match.length));
+}
+
+module.exports = {
+    MAX_MESSAGE_LENGTH,
+    filterWords,
+    maskMessage
+};
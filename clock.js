@@ -0,0 +1,26 @@
+// Time source for the game engine: turn and word-choice timers, held seats, mutes, vote-kicks
+// and the drawing and chat flood limits.
+// They all go through here, so tests can swap in a fake clock and play a whole game without waiting.
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, ms) => setTimeout(callback, ms),
+    clearTimeout: timer => clearTimeout(timer),
+    setInterval: (callback, ms) => setInterval(callback, ms),
+    clearInterval: timer => clearInterval(timer)
+};
+
+let current = systemClock;
+
+// Pass a clock with the same methods to take over, or nothing to go back to real time
+function useClock(clock) {
+    current = clock || systemClock;
+}
+
+module.exports = {
+    now: () => current.now(),
+    setTimeout: (callback, ms) => current.setTimeout(callback, ms),
+    clearTimeout: timer => current.clearTimeout(timer),
+    setInterval: (callback, ms) => current.setInterval(callback, ms),
+    clearInterval: timer => current.clearInterval(timer),
+    useClock
+};
@@ -0,0 +1,170 @@
+// Drawing operations sent by the drawer and replayed by everyone else.
+// Coordinates are whole numbers from 0 to COORDINATE_SCALE across a logical 850x400 canvas,
+// and sizes are in the same units of its width, so every client scales them to its own canvas.
+// Stroke points travel delta-encoded as a flat list: [x0, y0, dx1, dy1, dx2, dy2, ...].
+const PROTOCOL_VERSION = 3;
+const COORDINATE_SCALE = 10000;
+
+const MIN_BRUSH_SIZE = 10;
+const MAX_BRUSH_SIZE = 600;
+
+// Points accepted in one message, and kept for one stroke
+const MAX_POINTS_PER_MESSAGE = 500;
+const MAX_STROKE_POINTS = 5000;
+
+// Operations kept per turn for undo and for replaying to late joiners, and stroke points across all of them
+const MAX_OPERATIONS = 2000;
+const MAX_CANVAS_POINTS = 100000;
+
+const STROKE_TOOLS = ['brush', 'eraser'];
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+function isValidCoordinate(value) {
+    return Number.isInteger(value) && value >= 0 && value <= COORDINATE_SCALE;
+}
+
+function isValidColor(color) {
+    return typeof color === 'string' && COLOR_PATTERN.test(color);
+}
+
+function isValidSize(size) {
+    return Number.isInteger(size) && size >= MIN_BRUSH_SIZE && size <= MAX_BRUSH_SIZE;
+}
+
+// Turns the delta-encoded wire format into [x, y] pairs, checking every point lands on the canvas
+function decodePoints(encoded) {
+    if (!Array.isArray(encoded) || encoded.length === 0 || encoded.length % 2 !== 0 ||
+        encoded.length > MAX_POINTS_PER_MESSAGE * 2) {
+        return { error: `Strokes must send between 1 and ${MAX_POINTS_PER_MESSAGE} points at a time` };
+    }
+    if (!encoded.every(Number.isInteger)) return { error: 'Stroke points must be whole numbers' };
+
+    const points = [];
+    let x = 0;
+    let y = 0;
+    for (let i = 0; i < encoded.length; i += 2) {
+        x += encoded[i];
+        y += encoded[i + 1];
+        if (!isValidCoordinate(x) || !isValidCoordinate(y)) return { error: 'Stroke points must lie on the canvas' };
+        points.push([x, y]);
+    }
+    return { points };
+}
+
+function encodePoints(points) {
+    const encoded = [];
+    let x = 0;
+    let y = 0;
+    points.forEach(point => {
+        encoded.push(point[0] - x, point[1] - y);
+        x = point[0];
+        y = point[1];
+    });
+    return encoded;
+}
+
+function sanitizeOperation(data) {
+    switch (data.type) {
+        case 'stroke': {
+            if (!STROKE_TOOLS.includes(data.tool)) return { error: `Unknown stroke tool: ${data.tool}` };
+            if (data.tool === 'brush' && !isValidColor(data.color)) return { error: 'Colors must be #rrggbb' };
+            if (!isValidSize(data.size)) return { error: `Sizes must be between ${MIN_BRUSH_SIZE} and ${MAX_BRUSH_SIZE}` };
+
+            const { points, error } = decodePoints(data.points);
+            if (error) return { error };
+
+            const operation = { type: 'stroke', tool: data.tool, size: data.size, points };
+            if (data.tool === 'brush') operation.color = data.color;
+            return { operation };
+        }
+
+        case 'strokeAppend': {
+            const { points, error } = decodePoints(data.points);
+            if (error) return { error };
+            return { operation: { type: 'strokeAppend', points } };
+        }
+
+        case 'line':
+        case 'rect':
+        case 'ellipse': {
+            if (!isValidColor(data.color)) return { error: 'Colors must be #rrggbb' };
+            if (!isValidSize(data.size)) return { error: `Sizes must be between ${MIN_BRUSH_SIZE} and ${MAX_BRUSH_SIZE}` };
+            if (![data.x0, data.y0, data.x1, data.y1].every(isValidCoordinate)) {
+                return { error: 'Shapes must lie on the canvas' };
+            }
+            if (data.filled !== undefined && typeof data.filled !== 'boolean') return { error: 'filled must be true or false' };
+
+            return {
+                operation: {
+                    type: data.type,
+                    color: data.color,
+                    size: data.size,
+                    x0: data.x0,
+                    y0: data.y0,
+                    x1: data.x1,
+                    y1: data.y1,
+                    filled: data.type !== 'line' && data.filled === true
+                }
+            };
+        }
+
+        case 'fill': {
+            if (!isValidColor(data.color)) return { error: 'Colors must be #rrggbb' };
+            if (!isValidCoordinate(data.x) || !isValidCoordinate(data.y)) return { error: 'Fill must start on the canvas' };
+            return { operation: { type: 'fill', color: data.color, x: data.x, y: data.y } };
+        }
+
+        case 'undo':
+        case 'redo':
+            return { operation: { type: data.type } };
+
+        default:
+            return { error: `Unknown drawing operation: ${data.type}` };
+    }
+}
+
+// Checks a drawing message and returns a clean copy holding only the known fields,
+// with stroke points decoded to [x, y] pairs.
+// Returns { operation } on success or { error } describing what was wrong.
+function validateOperation(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return { error: 'Drawing data must be an object' };
+    if (data.v !== PROTOCOL_VERSION) return { error: 'Unsupported drawing protocol version, please reload the page' };
+
+    const { operation, error } = sanitizeOperation(data);
+    if (error) return { error };
+    return { operation: { v: PROTOCOL_VERSION, ...operation } };
+}
+
+// Wire form of an operation, for relaying and replaying
+function encodeOperation(operation) {
+    if (!operation.points) return operation;
+    return { ...operation, points: encodePoints(operation.points) };
+}
+
+// Stroke points in an operation; a shape or fill counts as one
+function countPoints(operation) {
+    return operation.points ? operation.points.length : 1;
+}
+
+// The operations from the start of a drawing that fit in maxPoints stroke points
+function takeOperations(operations, maxPoints) {
+    const taken = [];
+    let points = 0;
+    for (const operation of operations) {
+        points += countPoints(operation);
+        if (points > maxPoints) break;
+        taken.push(operation);
+    }
+    return taken;
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    MAX_STROKE_POINTS,
+    MAX_OPERATIONS,
+    MAX_CANVAS_POINTS,
+    validateOperation,
+    encodeOperation,
+    countPoints,
+    takeOperations
+};
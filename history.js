@@ -0,0 +1,96 @@
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonFile, createJsonFileSaver } = require('./jsonFile');
+
+// Results of finished games, for the leaderboard and the results page.
+// Kept in a JSON file so they survive restarts:
+//   HISTORY_FILE  - path to the file (default: data/history.json)
+const HISTORY_FILE = process.env.HISTORY_FILE || path.join(__dirname, 'data', 'history.json');
+
+// Time windows the leaderboard can be ranked over, in milliseconds (null = all time)
+const LEADERBOARD_WINDOWS = {
+    all: null,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000
+};
+
+const store = loadStore();
+const { scheduleSave, flush } = createJsonFileSaver(HISTORY_FILE, 'history', () => store);
+
+function loadStore() {
+    const saved = readJsonFile(HISTORY_FILE, 'history') || {};
+    return { games: Array.isArray(saved.games) ? saved.games : [] };
+}
+
+// Game ids are random so private rooms' results can't be found by counting
+function recordGame(details) {
+    const game = {
+        id: crypto.randomBytes(8).toString('hex'),
+        ...details
+    };
+    store.games.push(game);
+    scheduleSave();
+    return game;
+}
+
+function getGame(id) {
+    return store.games.find(game => game.id === id) || null;
+}
+
+function countGames() {
+    return store.games.length;
+}
+
+// Players are ranked by total points, then wins. Names are matched without case,
+// and each row shows the name the player used most recently.
+function getLeaderboard(window = 'all', limit = 20) {
+    const span = LEADERBOARD_WINDOWS[window];
+    const since = span ? Date.now() - span : null;
+    const totals = {};
+
+    store.games
+        .filter(game => since === null || new Date(game.endedAt).getTime() >= since)
+        .forEach(game => {
+            game.players.forEach(player => {
+                const key = player.username.toLowerCase();
+                const entry = totals[key] || (totals[key] = {
+                    username: player.username,
+                    gamesPlayed: 0,
+                    wins: 0,
+                    totalScore: 0,
+                    bestScore: 0
+                });
+                entry.username = player.username;
+                entry.gamesPlayed++;
+                entry.totalScore += player.score;
+                entry.bestScore = Math.max(entry.bestScore, player.score);
+                if (player.won) entry.wins++;
+            });
+        });
+
+    const rankings = Object.values(totals)
+        .sort((a, b) => b.totalScore - a.totalScore || b.wins - a.wins)
+        .slice(0, limit)
+        .map((entry, index) => ({
+            rank: index + 1,
+            ...entry,
+            averageScore: Math.round(entry.totalScore / entry.gamesPlayed)
+        }));
+
+    return {
+        window: window,
+        since: since === null ? null : new Date(since).toISOString(),
+        rankings: rankings
+    };
+}
+
+module.exports = {
+    HISTORY_FILE,
+    LEADERBOARD_WINDOWS,
+    recordGame,
+    getGame,
+    countGames,
+    getLeaderboard,
+    flush
+};
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+
+// Small JSON files on disk: moderation, game history and the shutdown snapshot.
+
+// Changes are written shortly after they happen, so a burst of them is one write
+const SAVE_DELAY_MS = 1000;
+
+// Returns null when the file is missing or can't be parsed
+function readJsonFile(file, label) {
+    if (!fs.existsSync(file)) return null;
+
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`Could not load ${label} file:`, error.message);
+        return null;
+    }
+}
+
+function writeJsonFile(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // Write beside the file and rename, so a crash mid-write can't truncate it
+    const tempFile = `${file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(data));
+    fs.renameSync(tempFile, file);
+}
+
+// Saves whatever getData returns, shortly after each change. flush writes pending changes
+// right away, for shutdown.
+function createJsonFileSaver(file, label, getData) {
+    let saveTimer = null;
+
+    function scheduleSave() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            try {
+                writeJsonFile(file, getData());
+            } catch (error) {
+                console.error(`Could not save ${label} file:`, error.message);
+            }
+        }, SAVE_DELAY_MS);
+    }
+
+    function flush() {
+        if (!saveTimer) return;
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        writeJsonFile(file, getData());
+    }
+
+    return { scheduleSave, flush };
+}
+
+module.exports = {
+    readJsonFile,
+    writeJsonFile,
+    createJsonFileSaver
+};
@@ -0,0 +1,132 @@
+const path = require('path');
+const { readJsonFile, createJsonFileSaver } = require('./jsonFile');
+
+// Moderation store: bans, admin actions, drawing reports and vote-kicks.
+// Kept in a JSON file so bans and history survive restarts:
+//   MODERATION_FILE  - path to the file (default: data/moderation.json)
+const MODERATION_FILE = process.env.MODERATION_FILE || path.join(__dirname, 'data', 'moderation.json');
+const MAX_LOG_ENTRIES = 1000;
+// Only the latest reports keep their drawings, the older ones keep just their details
+const MAX_REPORT_DRAWINGS = 50;
+
+const store = loadStore();
+const { scheduleSave, flush } = createJsonFileSaver(MODERATION_FILE, 'moderation', () => store);
+
+function loadStore() {
+    const saved = readJsonFile(MODERATION_FILE, 'moderation') || {};
+    return {
+        bans: Array.isArray(saved.bans) ? saved.bans : [],
+        log: Array.isArray(saved.log) ? saved.log : [],
+        nextBanId: Number.isInteger(saved.nextBanId) ? saved.nextBanId : 1,
+        nextEntryId: Number.isInteger(saved.nextEntryId) ? saved.nextEntryId : 1
+    };
+}
+
+function record(type, details) {
+    const entry = {
+        id: store.nextEntryId++,
+        type: type,
+        time: new Date().toISOString(),
+        ...details
+    };
+    store.log.push(entry);
+    if (store.log.length > MAX_LOG_ENTRIES) store.log.shift();
+    if (type === 'drawingReport') dropOldReportDrawings();
+    scheduleSave();
+    return entry;
+}
+
+function dropOldReportDrawings() {
+    const withDrawings = store.log.filter(entry => entry.type === 'drawingReport' && entry.operations);
+    withDrawings.slice(0, -MAX_REPORT_DRAWINGS).forEach(entry => {
+        entry.operations = null;
+    });
+}
+
+function recordAdminAction({ admin, action, target, reason, roomId }) {
+    return record('adminAction', {
+        admin: admin,
+        action: action,
+        target: target || null,
+        reason: reason || '',
+        roomId: roomId || null
+    });
+}
+
+function listEntries(type) {
+    return type ? store.log.filter(entry => entry.type === type) : [...store.log];
+}
+
+function getEntry(id) {
+    return store.log.find(entry => entry.id === id) || null;
+}
+
+function isActive(ban) {
+    return !ban.expiresAt || ban.expiresAt > Date.now();
+}
+
+// A ban without a duration lasts until an admin lifts it. The id is left to whoever stores it.
+function createBan({ username, address, durationSeconds, reason, admin }) {
+    return {
+        username: username ? username.toLowerCase() : null,
+        address: address || null,
+        reason: reason || '',
+        admin: admin,
+        createdAt: Date.now(),
+        expiresAt: durationSeconds ? Date.now() + durationSeconds * 1000 : null
+    };
+}
+
+function addBan(details) {
+    const ban = { id: store.nextBanId++, ...createBan(details) };
+    store.bans.push(ban);
+    scheduleSave();
+    return ban;
+}
+
+// Takes over a ban list kept elsewhere, such as the shared state store
+function replaceBans(bans) {
+    store.bans = bans;
+    scheduleSave();
+}
+
+function liftBan(id) {
+    const ban = store.bans.find(entry => entry.id === id);
+    if (!ban) return null;
+
+    store.bans = store.bans.filter(entry => entry.id !== id);
+    scheduleSave();
+    return ban;
+}
+
+// Active bans only; expired ones are dropped from the file on the way
+function listBans() {
+    const active = store.bans.filter(isActive);
+    if (active.length !== store.bans.length) {
+        store.bans = active;
+        scheduleSave();
+    }
+    return [...active];
+}
+
+function findBan(username, address) {
+    const name = String(username || '').toLowerCase();
+    return listBans().find(ban =>
+        (ban.username !== null && ban.username === name) ||
+        (ban.address !== null && ban.address === address)) || null;
+}
+
+module.exports = {
+    MODERATION_FILE,
+    record,
+    recordAdminAction,
+    listEntries,
+    getEntry,
+    createBan,
+    addBan,
+    replaceBans,
+    liftBan,
+    listBans,
+    findBan,
+    flush
+};
@@ -0,0 +1,22 @@
+// Token bucket: holds up to `capacity` tokens and refills `perSecond` of them every second.
+// take() spends tokens and reports whether there were enough. `now` gives the time in ms.
+function createRateLimiter(capacity, perSecond, now = Date.now) {
+    let tokens = capacity;
+    let lastRefill = now();
+
+    return {
+        take(cost = 1) {
+            const time = now();
+            tokens = Math.min(capacity, tokens + (time - lastRefill) / 1000 * perSecond);
+            lastRefill = time;
+
+            if (tokens < cost) return false;
+            tokens -= cost;
+            return true;
+        }
+    };
+}
+
+module.exports = {
+    createRateLimiter
+};
@@ -0,0 +1,133 @@
+const Redis = require('ioredis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+
+// State store on a Redis-compatible server, shared by every process pointed at it.
+// Room snapshots expire with their owner's claim, so a crashed process's rooms disappear
+// on their own. Player and session records are deleted when players leave, and expire
+// after a day in case their process never got to it.
+const KEY_PREFIX = 'skribbl:';
+const RECORD_TTL_SECONDS = 24 * 60 * 60;
+
+function createRedisStateStore(url) {
+    // Skips the INFO ready check, which not every Redis-compatible stand-in answers
+    const client = new Redis(url, { enableReadyCheck: false });
+    // Pub/sub needs a connection of its own
+    const subscriber = client.duplicate();
+    [client, subscriber].forEach(connection => {
+        connection.on('error', error => console.error('Redis error:', error.message));
+    });
+
+    const key = (...parts) => KEY_PREFIX + parts.join(':');
+
+    async function getRecord(name) {
+        const value = await client.get(name);
+        return value ? JSON.parse(value) : null;
+    }
+
+    function saveRecord(name, value) {
+        return client.set(name, JSON.stringify(value), 'EX', RECORD_TTL_SECONDS);
+    }
+
+    return {
+        shared: true,
+
+        async saveRoom(room, ttlMs) {
+            await client.multi()
+                .set(key('room', room.id), JSON.stringify(room), 'PX', ttlMs)
+                .sadd(key('rooms'), room.id)
+                .exec();
+        },
+        // Renews a snapshot's expiry without rewriting it; false if it has already expired
+        async touchRoom(roomId, ttlMs) {
+            return await client.pexpire(key('room', roomId), ttlMs) === 1;
+        },
+        getRoom(roomId) {
+            return getRecord(key('room', roomId));
+        },
+        // Ids of rooms whose snapshot has expired are dropped from the set on the way
+        async listRooms() {
+            const ids = await client.smembers(key('rooms'));
+            if (ids.length === 0) return [];
+
+            const values = await client.mget(ids.map(id => key('room', id)));
+            const expired = ids.filter((id, index) => values[index] === null);
+            if (expired.length > 0) await client.srem(key('rooms'), ...expired);
+            return values.filter(value => value !== null).map(value => JSON.parse(value));
+        },
+        async deleteRoom(roomId) {
+            await client.multi()
+                .del(key('room', roomId))
+                .srem(key('rooms'), roomId)
+                .exec();
+        },
+
+        // Takes a free room or renews our own claim on it; false if another process holds it
+        async claimRoom(roomId, ownerId, ttlMs) {
+            const ownerKey = key('owner', roomId);
+            if (await client.set(ownerKey, ownerId, 'PX', ttlMs, 'NX')) return true;
+            if (await client.get(ownerKey) !== ownerId) return false;
+            await client.pexpire(ownerKey, ttlMs);
+            return true;
+        },
+        async releaseRoom(roomId, ownerId) {
+            const ownerKey = key('owner', roomId);
+            if (await client.get(ownerKey) === ownerId) await client.del(ownerKey);
+        },
+        getRoomOwner(roomId) {
+            return client.get(key('owner', roomId));
+        },
+
+        async savePlayer(socketId, info) {
+            await saveRecord(key('player', socketId), info);
+        },
+        getPlayer(socketId) {
+            return getRecord(key('player', socketId));
+        },
+        async deletePlayer(socketId) {
+            await client.del(key('player', socketId));
+        },
+
+        async saveSession(token, session) {
+            await saveRecord(key('session', token), session);
+        },
+        getSession(token) {
+            return getRecord(key('session', token));
+        },
+        async deleteSession(token) {
+            await client.del(key('session', token));
+        },
+
+        // Bans, shared so every process enforces them. Expired ones are dropped on the way.
+        async addBan(ban) {
+            const saved = { ...ban, id: await client.incr(key('banId')) };
+            await client.hset(key('bans'), saved.id, JSON.stringify(saved));
+            return saved;
+        },
+        async deleteBan(id) {
+            const value = await client.hget(key('bans'), id);
+            if (!value) return null;
+            await client.hdel(key('bans'), id);
+            return JSON.parse(value);
+        },
+        async listBans() {
+            const bans = (await client.hvals(key('bans'))).map(value => JSON.parse(value));
+            const expired = bans.filter(ban => ban.expiresAt && ban.expiresAt <= Date.now());
+            if (expired.length > 0) await client.hdel(key('bans'), ...expired.map(ban => ban.id));
+            return bans.filter(ban => !expired.includes(ban));
+        },
+
+        // socket.io adapter on the same server, so room broadcasts reach every process
+        createAdapter() {
+            return createAdapter(client, subscriber, { key: `${KEY_PREFIX}socket.io` });
+        },
+
+        async close() {
+            client.disconnect();
+            subscriber.disconnect();
+        }
+    };
+}
+
+module.exports = {
+    createRedisStateStore
+};
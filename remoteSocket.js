@@ -0,0 +1,40 @@
+// Stand-in for a socket connected to another server process. The room's owner runs the
+// usual handlers against it, and everything they send goes back through the socket.io adapter.
+function createRemoteSocket(io, { id, address, isAdmin, adminName }) {
+    const handlers = {};
+
+    return {
+        id: id,
+        remote: true,
+        handshake: { address: address, auth: {} },
+        data: { isAdmin: isAdmin, adminName: adminName },
+        broadcast: {
+            to: room => io.to(room).except(id)
+        },
+
+        on(event, handler) {
+            handlers[event] = handler;
+        },
+        emit(event, ...args) {
+            io.to(id).emit(event, ...args);
+        },
+        join(room) {
+            io.in(id).socketsJoin(room);
+        },
+        leave(room) {
+            io.in(id).socketsLeave(room);
+        },
+        disconnect(close) {
+            io.in(id).disconnectSockets(close);
+        },
+
+        // Runs the handler for an event forwarded from the socket's own process
+        dispatch(event, args) {
+            if (handlers[event]) handlers[event](...args);
+        }
+    };
+}
+
+module.exports = {
+    createRemoteSocket
+};
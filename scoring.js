@@ -0,0 +1,77 @@
+// Scoring presets, selectable per room through the scoringPreset setting
+const PRESETS = {
+    classic: {
+        name: 'Classic',
+        description: 'Fast guesses score more, the drawer earns a share for every correct guess',
+        guesserMax: 100,
+        guesserMin: 10,
+        orderBonus: [30, 20, 10],
+        drawerMax: 100
+    },
+    speed: {
+        name: 'Speed',
+        description: 'Guessing first matters most',
+        guesserMax: 80,
+        guesserMin: 5,
+        orderBonus: [60, 40, 20, 10],
+        drawerMax: 60
+    },
+    artist: {
+        name: 'Artist',
+        description: 'Drawers are rewarded as much as guessers',
+        guesserMax: 100,
+        guesserMin: 20,
+        orderBonus: [20, 10],
+        drawerMax: 200
+    }
+};
+
+const DEFAULT_PRESET = 'classic';
+
+function getPreset(presetId) {
+    return PRESETS[presetId] || PRESETS[DEFAULT_PRESET];
+}
+
+function isValidPreset(presetId) {
+    return Object.prototype.hasOwnProperty.call(PRESETS, presetId);
+}
+
+// Points for a correct guess, scaled to the fraction of round time left
+function calculateGuesserScore(presetId, timeLeft, maxTime, guessOrder) {
+    const preset = getPreset(presetId);
+    const fractionLeft = maxTime > 0 ? Math.min(Math.max(timeLeft / maxTime, 0), 1) : 0;
+    const base = Math.round(preset.guesserMin + (preset.guesserMax - preset.guesserMin) * fractionLeft);
+    const orderBonus = preset.orderBonus[guessOrder - 1] || 0;
+
+    return {
+        base: base,
+        orderBonus: orderBonus,
+        total: base + orderBonus
+    };
+}
+
+// Points for the drawer, based on how many guessers got the word; nothing when nobody did
+function calculateDrawerScore(presetId, correctCount, guesserCount) {
+    if (correctCount <= 0 || guesserCount <= 0) return 0;
+
+    const preset = getPreset(presetId);
+    return Math.round(preset.drawerMax * Math.min(correctCount / guesserCount, 1));
+}
+
+function listPresets() {
+    return Object.keys(PRESETS).map(id => ({
+        id: id,
+        name: PRESETS[id].name,
+        description: PRESETS[id].description
+    }));
+}
+
+module.exports = {
+    PRESETS,
+    DEFAULT_PRESET,
+    getPreset,
+    isValidPreset,
+    calculateGuesserScore,
+    calculateDrawerScore,
+    listPresets
+};
@@ -2,7 +2,24 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
 const cors = require('cors');
+const proxyaddr = require('proxy-addr');
+const scoring = require('./scoring');
+const auth = require('./auth');
+const gameSettings = require('./settings');
+const drawing = require('./drawing');
+const { createRateLimiter } = require('./rateLimit');
+const chatFilter = require('./chatFilter');
+const moderation = require('./moderation');
+const teams = require('./teams');
+const history = require('./history');
+const { createStateStore } = require('./stateStore');
+const { createRemoteSocket } = require('./remoteSocket');
+const snapshot = require('./snapshot');
+const validation = require('./validation');
+const clock = require('./clock');
 
 const app = express();
 const server = http.createServer(app);
@@ -13,523 +30,2415 @@ const io = socketIo(server, {
     }
 });
 
+// Shared state, and an adapter so room broadcasts reach sockets on every process
+const stateStore = createStateStore();
+if (stateStore.createAdapter) {
+    io.adapter(stateStore.createAdapter());
+}
+
+// Behind a load balancer every connection comes from the proxy, so the client's address is read
+// from X-Forwarded-For, trusting only the proxies named in TRUST_PROXY
+app.set('trust proxy', readTrustProxy(process.env.TRUST_PROXY));
+
 // Middleware
 app.use(cors());
+app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Admin sockets must present a token from /api/admin/login in the handshake
+io.use((socket, next) => {
+    const token = socket.handshake.auth && socket.handshake.auth.adminToken;
+    if (!token) return next();
+
+    const claims = auth.verifyAdminToken(token);
+    if (!claims) return next(new Error('Invalid admin token'));
+
+    socket.data.isAdmin = true;
+    socket.data.adminName = claims.sub;
+    next();
+});
+
+// TRUST_PROXY takes what Express's 'trust proxy' setting does: true, a hop count,
+// or a comma-separated list of addresses, subnets or names such as loopback
+function readTrustProxy(value) {
+    if (!value || value === 'false') return false;
+    if (value === 'true') return true;
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    return value;
+}
+
+// The address a socket's client connects from, seen through any trusted proxy. Sockets
+// forwarded from another process carry the address their own process worked out.
+function getClientAddress(socket) {
+    if (socket.remote) return socket.handshake.address;
+    return proxyaddr(socket.request, app.get('trust proxy fn'));
+}
+
 // Game state
 let rooms = {};
 let players = {};
+let sessions = {};
+
+// Sockets on other processes that sent events for rooms this process owns
+let remoteSockets = {};
+
+// The state each room was last saved to the store with, as JSON
+let savedRoomStates = {};
+
+// Each process drives the timers of the rooms it owns, and renews its claim on them
+// well before the claim runs out
+const SERVER_ID = process.env.SERVER_ID || crypto.randomBytes(6).toString('hex');
+const ROOM_CLAIM_TTL_MS = 10000;
+const ROOM_HEARTBEAT_MS = 3000;
+let roomHeartbeatTimer = null;
+
+// Seconds a disconnected player's seat is held for them to resume
+const SESSION_GRACE_PERIOD = parseInt(process.env.SESSION_GRACE_SECONDS, 10) || 30;
+
+// On shutdown, clients are warned this many seconds ahead, and after a restart
+// players of the restored rooms get RESTORE_GRACE_PERIOD seconds to come back
+const SHUTDOWN_NOTICE_SECONDS = Number.isInteger(parseInt(process.env.SHUTDOWN_NOTICE_SECONDS, 10))
+    ? parseInt(process.env.SHUTDOWN_NOTICE_SECONDS, 10)
+    : 5;
+const RESTORE_GRACE_PERIOD = parseInt(process.env.RESTORE_GRACE_SECONDS, 10) || 60;
+let shuttingDown = false;
+
+// Sockets browsing public rooms in the lobby join this channel
+const LOBBY_CHANNEL = 'lobby';
+const ROOM_LIST_DEBOUNCE_MS = 500;
+let roomListUpdateTimer = null;
+
+// Per-socket drawing limits: messages and stroke points, as bucket size and refill per second.
+// Clients send stroke batches every 50ms, so honest drawers stay well below these.
+const DRAWING_MESSAGE_LIMIT = { capacity: 60, perSecond: 30 };
+const DRAWING_POINT_LIMIT = { capacity: 3000, perSecond: 1500 };
+// After a drawing message is dropped the drawer gets the canvas back once, however many follow
+const CANVAS_RESYNC_DELAY_MS = 250;
+
+// Chat flood protection: a burst of messages, then one a second; going over starts a cooldown
+const CHAT_MESSAGE_LIMIT = { capacity: 5, perSecond: 1 };
+const CHAT_COOLDOWN_MS = 10000;
+
+// Chat that only resembles a shorter word is let through; a letter off a short word is usually another word
+const MIN_VARIANT_LENGTH = 5;
+
+// Longest mute an admin can hand out, in seconds
+const MAX_MUTE_SECONDS = 24 * 60 * 60;
+
+// Vote-kicks need a majority of the connected players other than the target,
+// and a room waits a while after one vote before the next can start
+const MIN_VOTE_KICK_PLAYERS = 3;
+const VOTE_KICK_SECONDS = 30;
+const VOTE_KICK_COOLDOWN_MS = 60 * 1000;
+
+// Stroke points kept with a drawing report; a longer drawing is saved up to this point
+const REPORT_POINT_LIMIT = 20000;
+
+// Longest ban with a duration; bans without one last until lifted
+const MAX_BAN_SECONDS = 365 * 24 * 60 * 60;
+
+// Most time an admin can add to a turn in one go, in seconds
+const MAX_ADDED_SECONDS = 300;
+
+// Word packs, loaded from words/*.json at startup
+const WORDS_DIR = path.join(__dirname, 'words');
+const wordPacks = loadWordPacks();
+
+function loadWordPacks() {
+    const packs = {};
+    let files = [];
+    try {
+        files = fs.readdirSync(WORDS_DIR).filter(file => file.endsWith('.json'));
+    } catch (error) {
+        console.error('Could not read word packs directory:', error.message);
+        return packs;
+    }
+
+    files.forEach(file => {
+        const id = path.basename(file, '.json');
+        try {
+            const pack = JSON.parse(fs.readFileSync(path.join(WORDS_DIR, file), 'utf8'));
+            const packWords = (pack.words || [])
+                .filter(word => typeof word === 'string' && word.trim())
+                .map(word => word.trim().toLowerCase());
+            if (packWords.length === 0) {
+                console.error(`Word pack ${file} has no words, skipping`);
+                return;
+            }
+            packs[id] = { name: pack.name || id, words: packWords };
+        } catch (error) {
+            console.error(`Failed to load word pack ${file}:`, error.message);
+        }
+    });
+
+    console.log(`📚 Loaded word packs: ${Object.keys(packs).join(', ') || 'none'}`);
+    return packs;
+}
 
-// Word list
-const words = [
-    'apple', 'banana', 'house', 'car', 'tree', 'sun', 'moon', 'star', 'cat', 'dog',
-    'bird', 'fish', 'book', 'phone', 'computer', 'chair', 'table', 'window', 'door', 'flower',
-    'mountain', 'river', 'bridge', 'castle', 'pizza', 'cake', 'rainbow', 'cloud', 'lightning',
-    'butterfly', 'elephant', 'giraffe', 'penguin', 'turtle', 'airplane', 'bicycle', 'guitar',
-    'piano', 'camera', 'umbrella', 'sandwich', 'hamburger', 'ice cream', 'basketball', 'football'
-];
+function buildWordList(settings) {
+    // Custom words can replace the built-in packs or be mixed in with them
+    const builtIn = settings.categories.flatMap(id => wordPacks[id] ? wordPacks[id].words : []);
+    const list = settings.customWordsOnly && settings.customWords.length > 0
+        ? settings.customWords
+        : [...builtIn, ...settings.customWords];
+    return [...new Set(list)];
+}
 
 // Helper functions
 function generateRoomCode() {
     return Math.random().toString(36).substring(2, 6).toUpperCase();
 }
 
-function findRoomBySocketId(socketId) {
-    return Object.keys(rooms).find(roomId =>
-        rooms[roomId].players.some(player => player.id === socketId) ||
-        rooms[roomId].spectators.some(spectator => spectator.id === socketId)
-    );
+// Claims a free code in the state store, so no two processes open the same room
+async function reserveRoomCode() {
+    for (;;) {
+        const roomId = generateRoomCode();
+        if (!rooms[roomId] && await stateStore.claimRoom(roomId, SERVER_ID, ROOM_CLAIM_TTL_MS)) {
+            return roomId;
+        }
+    }
 }
 
-function getRandomWord() {
-    return words[Math.floor(Math.random() * words.length)];
+// A socket on this process, or the stand-in for one on another process
+function findSocket(socketId) {
+    return io.sockets.sockets.get(socketId) || remoteSockets[socketId] || null;
 }
 
-function calculateScore(timeLeft, maxTime = 60) {
-    return Math.max(100 - (maxTime - timeLeft) * 5, 10);
+function logStoreError(error) {
+    console.error('State store error:', error.message);
 }
 
-function getNextDrawer(room) {
-    const currentDrawerIndex = room.players.findIndex(p => p.id === room.currentDrawer);
-    return room.players[(currentDrawerIndex + 1) % room.players.length];
+// Plain copy of a room for the state store, without its timers
+function serializeRoom(room) {
+    const { timer, wordChoiceTimer, nextTurnTimer, turnEndTimer, ...state } = room;
+    if (state.voteKick) {
+        const { timer: voteKickTimer, ...voteKick } = state.voteKick;
+        state.voteKick = voteKick;
+    }
+    return state;
 }
 
-function createRoom(hostId, hostUsername, settings = {}, isSpectator = false, isAdmin = false) {
-    const roomId = generateRoomCode();
-    
-    // Apply custom settings or use defaults
-    const roomSettings = {
-        maxRounds: settings.maxRounds || 3,
-        roundTime: settings.roundTime || 60,
-        totalTime: settings.totalTime || 15
-    };
-
-    rooms[roomId] = {
-        id: roomId,
-        players: [],
-        spectators: [],
-        gameStarted: false,
-        currentDrawer: null,
-        currentWord: '',
-        round: 1,
-        maxRounds: roomSettings.maxRounds,
-        roundTime: roomSettings.roundTime,
-        totalTime: roomSettings.totalTime,
-        timeLeft: roomSettings.roundTime,
-        timer: null,
-        wordHint: '',
-        settings: roomSettings,
-        adminId: null
-    };
+// What the store keeps of a room, for the lobby list and Quick Play on every process. The
+// drawing and the word lists stay with the owner, they can run to many thousands of entries.
+function storedRoomState(room) {
+    const { strokeLog, redoStack, openStroke, wordList, usedWords, turnHistory, ...state } = serializeRoom(room);
+    return state;
+}
 
-    if (isAdmin) {
-        // Admin is always a spectator
-        const admin = {
-            id: hostId,
-            username: hostUsername,
-            isAdmin: true,
-            isSpectator: true
-        };
-        rooms[roomId].spectators.push(admin);
-        rooms[roomId].adminId = hostId;
-        players[hostId] = { roomId, username: hostUsername, isSpectator: true, isAdmin: true };
-    } else if (isSpectator) {
-        // Regular spectator
-        const spectator = {
-            id: hostId,
-            username: hostUsername,
-            isAdmin: false,
-            isSpectator: true
-        };
-        rooms[roomId].spectators.push(spectator);
-        players[hostId] = { roomId, username: hostUsername, isSpectator: true, isAdmin: false };
-    } else {
-        // Regular player host
-        const host = {
-            id: hostId,
-            username: hostUsername,
-            score: 0,
-            isHost: true,
-            hasGuessed: false
-        };
-        rooms[roomId].players.push(host);
-        players[hostId] = { roomId, username: hostUsername, isSpectator: false, isAdmin: false };
+// A room whose state hasn't changed since its last save only has its expiry renewed
+async function saveRoomState(room) {
+    const state = storedRoomState(room);
+    const json = JSON.stringify(state);
+    if (savedRoomStates[room.id] === json && await stateStore.touchRoom(room.id, ROOM_CLAIM_TTL_MS)) return;
+
+    savedRoomStates[room.id] = json;
+    try {
+        await stateStore.saveRoom(state, ROOM_CLAIM_TTL_MS);
+    } catch (error) {
+        delete savedRoomStates[room.id];
+        throw error;
     }
+}
 
-    return roomId;
+function stopRoomTimers(room) {
+    if (room.timer) clock.clearTimeout(room.timer);
+    if (room.wordChoiceTimer) clock.clearInterval(room.wordChoiceTimer);
+    if (room.nextTurnTimer) clock.clearTimeout(room.nextTurnTimer);
+    if (room.turnEndTimer) clock.clearTimeout(room.turnEndTimer);
+    if (room.voteKick) clock.clearTimeout(room.voteKick.timer);
 }
 
-function addPlayerToRoom(roomId, playerId, username, isSpectator = false, isAdmin = false) {
-    if (!rooms[roomId]) return false;
-    
-    const room = rooms[roomId];
-    
-    if (isAdmin) {
-        // Admin is always a spectator
-        const admin = {
-            id: playerId,
-            username: username,
-            isSpectator: true,
-            isAdmin: true
-        };
-        room.spectators.push(admin);
-        room.adminId = playerId;
-        players[playerId] = { roomId, username, isSpectator: true, isAdmin: true };
-    } else if (isSpectator) {
-        // Regular spectator
-        const spectator = {
-            id: playerId,
-            username: username,
-            isSpectator: true,
-            isAdmin: false
-        };
-        room.spectators.push(spectator);
-        players[playerId] = { roomId, username, isSpectator: true, isAdmin: false };
-    } else {
-        // Regular player
-        if (room.players.length >= 8) return false;
-        
-        const player = {
-            id: playerId,
-            username: username,
-            score: 0,
-            isHost: room.players.length === 0,
-            hasGuessed: false
-        };
-        room.players.push(player);
-        players[playerId] = { roomId, username, isSpectator: false, isAdmin: false };
-    }
+function deleteRoom(roomId) {
+    stopRoomTimers(rooms[roomId]);
+    delete rooms[roomId];
+    delete savedRoomStates[roomId];
+    stateStore.deleteRoom(roomId)
+        .then(() => stateStore.releaseRoom(roomId, SERVER_ID))
+        .catch(logStoreError);
+}
 
-    return true;
+// Keeps the claim on every room this process drives and refreshes their snapshots.
+// A room claimed by someone else meanwhile (after a long stall) is theirs now.
+function renewRoomClaims() {
+    Object.values(rooms).forEach(room => {
+        stateStore.claimRoom(room.id, SERVER_ID, ROOM_CLAIM_TTL_MS)
+            .then(stillOwner => {
+                // The room may have emptied while the claim was on its way
+                if (rooms[room.id] !== room) return;
+                if (stillOwner) return saveRoomState(room);
+                console.error(`Room ${room.id} was claimed by another process, no longer driving it`);
+                stopRoomTimers(room);
+                delete rooms[room.id];
+                delete savedRoomStates[room.id];
+            })
+            .catch(logStoreError);
+    });
 }
 
-function removePlayerFromRoom(socketId) {
-    const roomId = findRoomBySocketId(socketId);
-    if (!roomId || !rooms[roomId]) return;
+function setPlayerInfo(socketId, info) {
+    players[socketId] = info;
+    stateStore.savePlayer(socketId, info).catch(logStoreError);
+}
 
-    const room = rooms[roomId];
-    const playerInfo = players[socketId];
+function deletePlayerInfo(socketId) {
+    delete players[socketId];
+    stateStore.deletePlayer(socketId).catch(logStoreError);
+}
 
-    if (playerInfo && playerInfo.isSpectator) {
-        // Remove spectator
-        room.spectators = room.spectators.filter(s => s.id !== socketId);
-        if (room.adminId === socketId) {
-            room.adminId = null;
-        }
-    } else {
-        // Remove player
-        room.players = room.players.filter(p => p.id !== socketId);
-        
-        // If drawer left, move to next player
-        if (room.currentDrawer === socketId && room.gameStarted) {
-            endRound(roomId);
-        }
+function saveSession(session) {
+    const { token, roomId, playerId } = session;
+    stateStore.saveSession(token, { token, roomId, playerId }).catch(logStoreError);
+}
 
-        // Assign new host if needed
-        if (room.players.length > 0 && !room.players.some(p => p.isHost)) {
-            room.players[0].isHost = true;
-        }
+// The room an incoming event is about, so it can be handled by the process that owns it
+async function findEventRoom(socket, event, args) {
+    if (event === 'joinRoom') return args[0] && args[0].roomId;
+    if (event === 'getRoomInfo') return args[0];
+    // Sessions and players in this process's rooms are known here, only the others are looked up
+    if (event === 'resumeSession') {
+        const session = sessions[args[0]] || await stateStore.getSession(args[0]);
+        return session && session.roomId;
     }
+    if (players[socket.id]) return players[socket.id].roomId;
+    const info = await stateStore.getPlayer(socket.id);
+    return info && info.roomId;
+}
 
-    // If room is empty (no players and no spectators), delete it
-    if (room.players.length === 0 && room.spectators.length === 0) {
-        if (room.timer) clearInterval(room.timer);
-        delete rooms[roomId];
-    }
+// Hands an event to the process that owns the room; false if this process should handle it.
+// Only the process a socket is connected to forwards its events.
+async function forwardToOwner(socket, roomId, event, args) {
+    if (!stateStore.shared || socket.remote || typeof roomId !== 'string' || rooms[roomId]) return false;
+
+    const ownerId = await stateStore.getRoomOwner(roomId);
+    if (!ownerId || ownerId === SERVER_ID) return false;
+
+    if (!socket.data.remoteOwners.includes(ownerId)) socket.data.remoteOwners.push(ownerId);
+    io.serverSideEmit('forwardedEvent', ownerId, {
+        socketId: socket.id,
+        address: getClientAddress(socket),
+        isAdmin: socket.data.isAdmin === true,
+        adminName: socket.data.adminName || null,
+        event: event,
+        args: args
+    });
+    return true;
+}
 
-    delete players[socketId];
+function findRoomBySocketId(socketId) {
+    return Object.keys(rooms).find(roomId =>
+        rooms[roomId].players.some(player => player.id === socketId) ||
+        rooms[roomId].spectators.some(spectator => spectator.id === socketId)
+    );
 }
 
-function startGame(roomId, customSettings = null) {
-    const room = rooms[roomId];
-    if (!room || room.gameStarted || room.players.length === 0) return false;
+function getRandomWord(room, exclude = []) {
+    const available = room.wordList.filter(word => !exclude.includes(word));
+    // Prefer words not drawn yet this game, fall back to repeats once the list runs dry
+    const fresh = available.filter(word => !room.usedWords.includes(word));
+    const candidates = fresh.length > 0 ? fresh : available;
+    if (candidates.length === 0) return null;
+    return candidates[Math.floor(Math.random() * candidates.length)];
+}
 
-    // Apply custom settings if provided
-    if (customSettings) {
-        room.maxRounds = customSettings.maxRounds || room.maxRounds;
-        room.roundTime = customSettings.roundTime || room.roundTime;
-        room.totalTime = customSettings.totalTime || room.totalTime;
-        room.settings = {
-            maxRounds: room.maxRounds,
-            roundTime: room.roundTime,
-            totalTime: room.totalTime
-        };
+function getWordChoices(room, count) {
+    const choices = [];
+    while (choices.length < count) {
+        const word = getRandomWord(room, choices);
+        if (!word) break;
+        choices.push(word);
     }
+    return choices;
+}
 
-    room.gameStarted = true;
-    room.round = 1;
-    room.currentDrawer = room.players[0].id;
-    room.currentWord = getRandomWord();
-    room.wordHint = '_ '.repeat(room.currentWord.length).trim();
+function singularize(word) {
+    if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+    if (word.length > 3 && /(s|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+    if (word.length > 2 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+}
 
-    // Reset all players
-    room.players.forEach(player => {
-        player.score = 0;
-        player.hasGuessed = false;
-    });
+function normalizeGuess(text) {
+    // Lowercase, strip accents and punctuation, collapse whitespace and treat plurals as singular
+    return String(text)
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9\s]/g, '')
+        .split(/\s+/)
+        .filter(part => part.length > 0)
+        .map(singularize)
+        .join(' ');
+}
 
-    startRound(roomId);
-    return true;
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
 }
 
-function startRound(roomId) {
-    const room = rooms[roomId];
-    if (!room) return;
+function compareGuess(guess, word, settings) {
+    const normalizedGuess = normalizeGuess(guess);
+    const normalizedWord = normalizeGuess(word);
+    if (!normalizedGuess || !normalizedWord) return 'wrong';
 
-    room.timeLeft = room.roundTime;
-    room.players.forEach(player => {
-        player.hasGuessed = false;
-    });
+    // Spaces are ignored so "icecream" still matches "ice cream"
+    const compactWord = normalizedWord.replace(/ /g, '');
+    const distance = editDistance(normalizedGuess.replace(/ /g, ''), compactWord);
+    if (distance <= settings.guessTolerance) return 'correct';
 
-    // Emit game state to players (they see hint)
-    room.players.forEach(player => {
-        const wordToSend = player.id === room.currentDrawer ? room.currentWord : room.wordHint;
-        io.to(player.id).emit('roundStart', {
-            drawer: room.players.find(p => p.id === room.currentDrawer),
-            word: wordToSend,
-            hint: room.wordHint,
-            round: room.round,
-            maxRounds: room.maxRounds,
-            timeLeft: room.timeLeft
-        });
-    });
+    // Short words need a tighter match, otherwise unrelated guesses like "hot" for "cat" look close
+    if (distance <= settings.closeGuessDistance && distance < compactWord.length / 2) return 'close';
+    return 'wrong';
+}
 
-    // Emit game state to spectators (they see actual word)
-    room.spectators.forEach(spectator => {
-        io.to(spectator.id).emit('roundStart', {
-            drawer: room.players.find(p => p.id === room.currentDrawer),
-            word: room.currentWord, // Admin/spectators see the actual word
-            hint: room.wordHint,
-            round: room.round,
-            maxRounds: room.maxRounds,
-            timeLeft: room.timeLeft
-        });
+// True when a chat message gives the word away: the word itself, a close variant of it,
+// or its letters spelled out with spaces or punctuation in between
+function revealsWord(message, word, settings) {
+    const normalizedMessage = normalizeGuess(message);
+    const normalizedWord = normalizeGuess(word);
+    if (!normalizedMessage || !normalizedWord) return false;
+
+    // Runs of single letters are joined back up, so "c a t" reads as "cat"
+    const compactWord = normalizedWord.replace(/ /g, '');
+    const tokens = [];
+    const spelledOut = [];
+    normalizedMessage.split(' ').forEach((token, index, all) => {
+        if (token.length === 1 && index > 0 && all[index - 1].length === 1) {
+            tokens[tokens.length - 1] += token;
+            spelledOut.push(tokens[tokens.length - 1]);
+        } else {
+            tokens.push(token);
+        }
     });
+    if (spelledOut.some(run => run.includes(compactWord))) return true;
 
-    // Send actual word to drawer
-    if (room.currentDrawer) {
-        io.to(room.currentDrawer).emit('wordReveal', room.currentWord);
+    // Otherwise whole words only, so "category" doesn't give away "cat"; "icecream" and "ice cream" both match
+    const wordCount = normalizedWord.split(' ').length;
+    for (let start = 0; start < tokens.length; start++) {
+        for (let length = 1; length <= wordCount && start + length <= tokens.length; length++) {
+            if (tokens.slice(start, start + length).join('') === compactWord) return true;
+        }
     }
 
-    // Send actual word to all spectators (including admin)
-    room.spectators.forEach(spectator => {
-        io.to(spectator.id).emit('wordReveal', room.currentWord);
-    });
+    // Compare every run of as many words as the answer has, so variants inside longer messages are caught
+    if (compactWord.length < MIN_VARIANT_LENGTH) return false;
+    const variantSettings = { guessTolerance: settings.guessTolerance, closeGuessDistance: Math.max(settings.closeGuessDistance, 2) };
+    for (let start = 0; start + wordCount <= tokens.length; start++) {
+        const run = tokens.slice(start, start + wordCount).join(' ');
+        if (run.replace(/ /g, '').length < MIN_VARIANT_LENGTH) continue;
+        if (compareGuess(run, word, variantSettings) !== 'wrong') return true;
+    }
+    return false;
+}
 
-    // Start timer
-    room.timer = setInterval(() => {
-        room.timeLeft--;
-        io.to(roomId).emit('timeUpdate', room.timeLeft);
+function buildWordHint(word, revealedIndices = []) {
+    // Spaces in multi-word entries are always shown, letters stay hidden until revealed
+    return word.split('').map((char, index) => {
+        if (char === ' ') return ' ';
+        return revealedIndices.includes(index) ? char : '_';
+    }).join(' ');
+}
 
-        if (room.timeLeft <= 0) {
-            endRound(roomId);
+function buildHintSchedule(room) {
+    const { hintInterval, hintFractions, hintsHidden } = room.settings;
+    const letterCount = room.currentWord.replace(/ /g, '').length;
+    const maxReveals = Math.max(letterCount - hintsHidden, 0);
+
+    // Seconds elapsed at which a letter gets revealed
+    let schedule;
+    if (hintInterval > 0) {
+        schedule = [];
+        for (let elapsed = hintInterval; elapsed < room.roundTime; elapsed += hintInterval) {
+            schedule.push(elapsed);
         }
-    }, 1000);
+    } else {
+        schedule = hintFractions
+            .filter(fraction => fraction > 0 && fraction < 1)
+            .map(fraction => Math.round(room.roundTime * fraction))
+            .sort((a, b) => a - b);
+    }
+
+    return schedule.slice(0, maxReveals);
 }
 
-function endRound(roomId) {
-    const room = rooms[roomId];
-    if (!room) return;
+function revealHintLetter(room) {
+    const hiddenIndices = room.currentWord.split('')
+        .map((char, index) => index)
+        .filter(index => room.currentWord[index] !== ' ' && !room.revealedIndices.includes(index));
+    if (hiddenIndices.length <= room.settings.hintsHidden) return false;
 
-    if (room.timer) {
-        clearInterval(room.timer);
-        room.timer = null;
-    }
+    const index = hiddenIndices[Math.floor(Math.random() * hiddenIndices.length)];
+    room.revealedIndices.push(index);
+    room.wordHint = buildWordHint(room.currentWord, room.revealedIndices);
+    return true;
+}
 
-    // Emit round end
-    io.to(roomId).emit('roundEnd', {
-        word: room.currentWord,
-        players: room.players
+function emitHintUpdate(room) {
+    // The drawer already knows the word; spectators get it too so the admin panel can mirror what guessers see
+    room.players.forEach(player => {
+        if (player.id !== room.currentDrawer) {
+            io.to(player.id).emit('hintUpdate', room.wordHint);
+        }
     });
+    room.spectators.forEach(spectator => {
+        io.to(spectator.id).emit('hintUpdate', room.wordHint);
+    });
+}
 
-    // Check if game should end
-    if (room.round >= room.maxRounds) {
-        endGame(roomId);
-    } else {
-        // Move to next round
-        setTimeout(() => {
-            if (room.players.length > 0) {
-                room.round++;
-                const nextDrawer = getNextDrawer(room);
-                room.currentDrawer = nextDrawer.id;
-                room.currentWord = getRandomWord();
-                room.wordHint = '_ '.repeat(room.currentWord.length).trim();
-                startRound(roomId);
-            }
-        }, 3000);
+function getNextDrawer(room) {
+    // Skip anyone in the queue who has left since it was built. A player who dropped
+    // still holds their seat, so their turn comes up and waits for them.
+    while (room.turnQueue.length > 0) {
+        const nextId = room.turnQueue.shift();
+        const player = room.players.find(p => p.id === nextId);
+        if (player) return player;
     }
+    return null;
 }
 
-function endGame(roomId) {
-    const room = rooms[roomId];
-    if (!room) return;
+function getTurnsInRound(room) {
+    return room.turn + room.turnQueue.length;
+}
 
-    room.gameStarted = false;
-    room.currentDrawer = null;
-    room.currentWord = '';
-    room.round = 1;
+function resolveSettings(input, current) {
+    const result = gameSettings.validateSettings(input, current, Object.keys(wordPacks));
+    if (result.error) return result;
 
-    // Clear timer if exists
-    if (room.timer) {
-        clearInterval(room.timer);
-        room.timer = null;
+    if (buildWordList(result.settings).length === 0) {
+        return { error: 'No words available with these settings' };
+    }
+    return result;
+}
+
+function configureRoom(room, settings) {
+    room.settings = settings;
+    room.maxRounds = settings.maxRounds;
+    room.roundTime = settings.roundTime;
+    room.totalTime = settings.totalTime;
+    room.wordList = buildWordList(settings);
+    if (settings.teamMode) {
+        teams.assignMissingTeams(room.players);
+    } else {
+        teams.clearTeams(room.players);
+    }
+    scheduleRoomListUpdate();
+}
+
+function getPublicSettings(room) {
+    // Custom words would give the answers away, so only their count is shared
+    const { customWords, ...settings } = room.settings;
+    return { ...settings, customWordCount: customWords.length };
+}
+
+function isRoomFull(room) {
+    return room.players.length >= room.settings.maxPlayers;
+}
+
+// Only public rooms are ever listed, private codes stay with whoever was given them.
+// Listed from the state store so rooms on every process show up.
+async function getPublicRoomList() {
+    const snapshots = await stateStore.listRooms();
+    return snapshots
+        .filter(room => room.settings.visibility === 'public')
+        .map(room => {
+            const host = room.players.find(p => p.isHost);
+            return {
+                id: room.id,
+                host: host ? host.username : null,
+                players: room.players.length,
+                maxPlayers: room.settings.maxPlayers,
+                spectators: room.spectators.length,
+                gameStarted: room.gameStarted,
+                isFull: isRoomFull(room),
+                settings: getPublicSettings(room)
+            };
+        });
+}
+
+// Best open public room the player may join: rooms still in the lobby first, then the busiest
+async function findQuickPlayRoom(socket, username) {
+    const snapshots = await stateStore.listRooms();
+    const candidates = snapshots
+        .filter(room => room.settings.visibility === 'public' && !isRoomFull(room) &&
+            !isBarredFromRoom(room, username) && !isUsernameTaken(room, username))
+        .sort((a, b) => (a.gameStarted - b.gameStarted) || (b.players.length - a.players.length));
+    return candidates.length > 0 ? candidates[0].id : null;
+}
+
+// Batches lobby updates so a burst of joins sends one list
+function scheduleRoomListUpdate() {
+    if (roomListUpdateTimer) return;
+    roomListUpdateTimer = setTimeout(async () => {
+        roomListUpdateTimer = null;
+        try {
+            // Snapshots first, so the list shows this process's rooms as they are now
+            await Promise.all(Object.values(rooms).map(saveRoomState));
+            io.to(LOBBY_CHANNEL).emit('roomListUpdate', await getPublicRoomList());
+        } catch (error) {
+            logStoreError(error);
+        }
+    }, ROOM_LIST_DEBOUNCE_MS);
+}
+
+// Only the drawer draws, and only once the word is chosen and until the turn ends
+function canDraw(room, socketId) {
+    return room.currentDrawer === socketId && room.turnActive && !room.choosingWord;
+}
+
+function resetCanvas(room) {
+    room.strokeLog = [];
+    room.redoStack = [];
+    room.openStroke = null;
+    room.canvasPoints = 0;
+}
+
+// Applies a validated drawing operation to the room's canvas history.
+// Returns an error message when the operation can't be applied.
+function applyDrawingOperation(room, operation) {
+    switch (operation.type) {
+        case 'strokeAppend': {
+            // Points only extend the stroke the drawer is still drawing
+            const stroke = room.openStroke;
+            if (!stroke || room.strokeLog[room.strokeLog.length - 1] !== stroke) {
+                return 'No stroke in progress';
+            }
+            if (stroke.points.length + operation.points.length > drawing.MAX_STROKE_POINTS) {
+                return 'Stroke is too long';
+            }
+            if (room.canvasPoints + operation.points.length > drawing.MAX_CANVAS_POINTS) {
+                return 'The canvas is full, clear it to keep drawing';
+            }
+            stroke.points.push(...operation.points);
+            room.canvasPoints += operation.points.length;
+            return null;
+        }
+
+        case 'undo':
+            if (room.strokeLog.length === 0) return 'Nothing to undo';
+            room.redoStack.push(room.strokeLog.pop());
+            room.openStroke = null;
+            return null;
+
+        case 'redo':
+            if (room.redoStack.length === 0) return 'Nothing to redo';
+            room.strokeLog.push(room.redoStack.pop());
+            room.openStroke = null;
+            return null;
+
+        default: {
+            // Points of undone operations are freed, as a new operation clears the redo stack
+            const undonePoints = room.redoStack.reduce((total, undone) => total + drawing.countPoints(undone), 0);
+            const canvasPoints = room.canvasPoints - undonePoints + drawing.countPoints(operation);
+            if (room.strokeLog.length >= drawing.MAX_OPERATIONS || canvasPoints > drawing.MAX_CANVAS_POINTS) {
+                return 'The canvas is full, clear it to keep drawing';
+            }
+            // Keep a copy so later appends don't alter the relayed message
+            const entry = operation.type === 'stroke' ? { ...operation, points: [...operation.points] } : operation;
+            room.strokeLog.push(entry);
+            room.redoStack = [];
+            room.canvasPoints = canvasPoints;
+            room.openStroke = operation.type === 'stroke' ? entry : null;
+            return null;
+        }
+    }
+}
+
+// A dropped message is already on the drawer's own canvas. The stroke in progress is closed,
+// so points sent after it can't join the previous stroke, and the drawer is sent the room's canvas.
+function rejectDrawing(socket, room, error) {
+    room.openStroke = null;
+    if (error) socket.emit('drawingError', error);
+    if (socket.data.canvasResyncTimer) return;
+
+    socket.data.canvasResyncTimer = clock.setTimeout(() => {
+        socket.data.canvasResyncTimer = null;
+        if (rooms[room.id] === room && room.currentDrawer === socket.id) sendCanvasState(socket, room);
+    }, CANVAS_RESYNC_DELAY_MS);
+}
+
+// Dropped drawing messages are reported at most once a second so the warning can't flood either
+function rejectThrottledDrawing(socket, room) {
+    rejectDrawing(socket, room, null);
+    const now = clock.now();
+    if (socket.data.drawingThrottledAt && now - socket.data.drawingThrottledAt < 1000) return;
+    socket.data.drawingThrottledAt = now;
+    console.log('Throttling drawing data from:', socket.id);
+    socket.emit('drawingError', 'You are drawing too fast, some strokes were dropped');
+}
+
+// Checks length and flood limits for a chat message. Returns the trimmed text,
+// or null when the message should be dropped (the sender is told why).
+function checkChatMessage(socket, message) {
+    if (typeof message !== 'string') return null;
+    const text = message.trim();
+    if (text.length === 0) return null;
+
+    if (text.length > chatFilter.MAX_MESSAGE_LENGTH) {
+        socket.emit('chatBlocked', { message: text, reason: `Messages are limited to ${chatFilter.MAX_MESSAGE_LENGTH} characters` });
+        return null;
+    }
+
+    const now = clock.now();
+    if (socket.data.chatCooldownUntil && now < socket.data.chatCooldownUntil) {
+        const wait = Math.ceil((socket.data.chatCooldownUntil - now) / 1000);
+        socket.emit('chatBlocked', { message: text, reason: `You are sending messages too fast, wait ${wait}s` });
+        return null;
+    }
+    if (!socket.data.chatMessages.take()) {
+        socket.data.chatCooldownUntil = now + CHAT_COOLDOWN_MS;
+        socket.emit('chatBlocked', { message: text, reason: `You are sending messages too fast, wait ${CHAT_COOLDOWN_MS / 1000}s` });
+        return null;
+    }
+
+    return text;
+}
+
+function isMuted(player) {
+    return Boolean(player.muted) && (!player.mutedUntil || player.mutedUntil > clock.now());
+}
+
+// A mute without a duration lasts until an admin lifts it
+function mutePlayer(room, player, durationSeconds) {
+    player.muted = true;
+    player.mutedUntil = durationSeconds ? clock.now() + durationSeconds * 1000 : null;
+
+    if (durationSeconds) {
+        const mutedUntil = player.mutedUntil;
+        clock.setTimeout(() => {
+            // A newer mute or an unmute replaces this one
+            if (player.muted && player.mutedUntil === mutedUntil) {
+                unmutePlayer(room, player);
+            }
+        }, durationSeconds * 1000);
+    }
+}
+
+function unmutePlayer(room, player) {
+    player.muted = false;
+    player.mutedUntil = null;
+    io.to(player.id).emit('chatUnmuted');
+    io.to(room.id).emit('playersUpdate', room.players);
+}
+
+// Closes the player's connection after removing them; callers send the list updates
+function kickPlayerFromRoom(room, playerId, reason) {
+    io.to(playerId).emit('kicked', reason);
+    removePlayerFromRoom(playerId);
+
+    const kickedSocket = findSocket(playerId);
+    if (kickedSocket) {
+        kickedSocket.leave(room.id);
+        kickedSocket.disconnect(true);
+    }
+}
+
+// Voted-out players stay out by name until the game ends. Not by address: players behind
+// the same NAT share one, and a vote shouldn't keep all of them out.
+function barFromRoom(room, playerId) {
+    const player = room.players.find(p => p.id === playerId);
+    room.kickedPlayers.push({ username: player.username.toLowerCase() });
+}
+
+function isBarredFromRoom(room, username) {
+    const name = String(username || '').toLowerCase();
+    return room.kickedPlayers.some(entry => entry.username === name);
+}
+
+// Names are unique within a room, ignoring case, counting held seats and spectators
+function isUsernameTaken(room, username) {
+    const name = username.toLowerCase();
+    return [...room.players, ...room.spectators].some(p => p.username.toLowerCase() === name);
+}
+
+// Free-text reasons on reports and admin actions, their length is checked with the payload
+function readReason(data) {
+    return data && data.reason ? data.reason.trim() : '';
+}
+
+function describeBan(ban) {
+    const until = ban.expiresAt ? ` until ${new Date(ban.expiresAt).toISOString()}` : '';
+    const reason = ban.reason ? `: ${ban.reason}` : '';
+    return `You are banned from this server${until}${reason}`;
+}
+
+// With a shared store the bans live there, so a ban holds on every process. Each process keeps
+// a copy in its moderation store for the checks on join, reloaded whenever any process changes them.
+async function addBan(details) {
+    if (!stateStore.shared) return moderation.addBan(details);
+
+    const ban = await stateStore.addBan(moderation.createBan(details));
+    await reloadSharedBans();
+    io.serverSideEmit('bansChanged');
+    return ban;
+}
+
+async function liftBan(banId) {
+    if (!stateStore.shared) return moderation.liftBan(banId);
+
+    const ban = await stateStore.deleteBan(banId);
+    if (ban) {
+        await reloadSharedBans();
+        io.serverSideEmit('bansChanged');
+    }
+    return ban;
+}
+
+async function reloadSharedBans() {
+    moderation.replaceBans(await stateStore.listBans());
+}
+
+function logAdminAction(socket, action, target, reason) {
+    moderation.recordAdminAction({
+        admin: socket.data.adminName,
+        action: action,
+        target: target,
+        reason: reason,
+        roomId: findRoomBySocketId(socket.id)
+    });
+}
+
+function startVoteKick(room, initiator, target) {
+    const voters = room.players.filter(p => !p.disconnected && p.id !== target.id);
+    room.voteKick = {
+        targetId: target.id,
+        target: target.username,
+        initiator: initiator.username,
+        voters: voters.map(p => p.id),
+        yes: [initiator.id],
+        no: [],
+        required: Math.floor(voters.length / 2) + 1,
+        timer: clock.setTimeout(() => finishVoteKick(room, false), VOTE_KICK_SECONDS * 1000)
+    };
+
+    io.to(room.id).emit('voteKickStarted', {
+        targetId: target.id,
+        target: target.username,
+        initiatorId: initiator.id,
+        initiator: initiator.username,
+        required: room.voteKick.required,
+        duration: VOTE_KICK_SECONDS
+    });
+}
+
+// Ends the vote as soon as the outcome is certain
+function tallyVoteKick(room) {
+    const vote = room.voteKick;
+    const undecided = vote.voters.length - vote.yes.length - vote.no.length;
+
+    if (vote.yes.length >= vote.required) {
+        finishVoteKick(room, true);
+    } else if (vote.yes.length + undecided < vote.required) {
+        finishVoteKick(room, false);
+    } else {
+        io.to(room.id).emit('voteKickUpdate', {
+            yes: vote.yes.length,
+            no: vote.no.length,
+            required: vote.required
+        });
+    }
+}
+
+function finishVoteKick(room, kicked) {
+    const vote = room.voteKick;
+    if (!vote) return;
+
+    clock.clearTimeout(vote.timer);
+    room.voteKick = null;
+    room.nextVoteKickAt = clock.now() + VOTE_KICK_COOLDOWN_MS;
+
+    moderation.record('voteKick', {
+        roomId: room.id,
+        target: vote.target,
+        initiator: vote.initiator,
+        yes: vote.yes.length,
+        no: vote.no.length,
+        required: vote.required,
+        kicked: kicked
+    });
+
+    io.to(room.id).emit('voteKickEnded', { target: vote.target, kicked: kicked });
+
+    if (kicked && room.players.some(p => p.id === vote.targetId)) {
+        barFromRoom(room, vote.targetId);
+        kickPlayerFromRoom(room, vote.targetId, 'You were voted out of the room');
+        io.to(room.id).emit('playersUpdate', room.players);
+        io.to(room.id).emit('spectatorsUpdate', room.spectators);
+    }
+}
+
+function createSession(socketId, roomId) {
+    const token = crypto.randomBytes(24).toString('hex');
+    sessions[token] = { token, roomId, playerId: socketId, graceTimer: null };
+    setPlayerInfo(socketId, { ...players[socketId], sessionToken: token });
+    saveSession(sessions[token]);
+    return token;
+}
+
+function rebindPlayer(room, oldId, newId) {
+    // Move a seat from a dropped socket to the socket that resumed it
+    const player = room.players.find(p => p.id === oldId);
+    if (player) player.id = newId;
+
+    room.drawOrder = room.drawOrder.map(id => id === oldId ? newId : id);
+    room.turnQueue = room.turnQueue.map(id => id === oldId ? newId : id);
+    if (room.currentDrawer === oldId) room.currentDrawer = newId;
+    if (room.turnScores[oldId] !== undefined) {
+        room.turnScores[newId] = room.turnScores[oldId];
+        delete room.turnScores[oldId];
+    }
+    if (room.voteKick) {
+        const vote = room.voteKick;
+        if (vote.targetId === oldId) vote.targetId = newId;
+        ['voters', 'yes', 'no'].forEach(list => {
+            vote[list] = vote[list].map(id => id === oldId ? newId : id);
+        });
+    }
+
+    setPlayerInfo(newId, players[oldId]);
+    deletePlayerInfo(oldId);
+}
+
+function holdSeat(socketId) {
+    const roomId = findRoomBySocketId(socketId);
+    const playerInfo = players[socketId];
+    const session = playerInfo && sessions[playerInfo.sessionToken];
+    if (!roomId || !session) return false;
+
+    const room = rooms[roomId];
+    const player = room.players.find(p => p.id === socketId);
+    if (!player) return false;
+
+    player.disconnected = true;
+
+    // Freeze the turn while the drawer is away instead of ending it
+    if (room.gameStarted && room.turnActive && room.currentDrawer === socketId) {
+        room.paused = true;
+        updateTurnClock(room);
+        io.to(roomId).emit('turnPaused', {
+            reason: `${player.username} lost connection`,
+            graceSeconds: SESSION_GRACE_PERIOD
+        });
+    }
+
+    holdSession(session, SESSION_GRACE_PERIOD);
+
+    io.to(roomId).emit('playerDisconnected', {
+        player: player.username,
+        graceSeconds: SESSION_GRACE_PERIOD
+    });
+    io.to(roomId).emit('playersUpdate', room.players);
+    return true;
+}
+
+// The seat goes to the next player if nobody resumes it in time
+function holdSession(session, seconds) {
+    session.graceTimer = clock.setTimeout(() => {
+        session.graceTimer = null;
+        handlePlayerDeparture(session.playerId);
+    }, seconds * 1000);
+}
+
+function resumeSession(socket, token) {
+    const session = sessions[token];
+    const room = session && rooms[session.roomId];
+    const player = room && room.players.find(p => p.id === session.playerId);
+    if (!player) return false;
+
+    if (session.graceTimer) {
+        clock.clearTimeout(session.graceTimer);
+        session.graceTimer = null;
+    }
+
+    // A blip can reconnect before the old socket times out, so retire it
+    const oldId = session.playerId;
+    const oldSocket = findSocket(oldId);
+    rebindPlayer(room, oldId, socket.id);
+    session.playerId = socket.id;
+    saveSession(session);
+    player.disconnected = false;
+    if (oldSocket) oldSocket.disconnect(true);
+
+    socket.join(room.id);
+
+    const wasPausedForDrawer = room.paused && room.currentDrawer === socket.id;
+    if (wasPausedForDrawer) {
+        room.paused = false;
+        updateTurnClock(room);
+    }
+
+    socket.emit('sessionResumed', {
+        roomId: room.id,
+        settings: getPublicSettings(room),
+        player: player
+    });
+    sendGameState(socket, room);
+
+    if (wasPausedForDrawer) {
+        io.to(room.id).emit('turnResumed', { player: player.username });
+    }
+    io.to(room.id).emit('playerReconnected', { player: player.username });
+    io.to(room.id).emit('playersUpdate', room.players);
+    return true;
+}
+
+function handlePlayerDeparture(socketId) {
+    const roomId = findRoomBySocketId(socketId);
+    if (!roomId || !rooms[roomId]) return;
+
+    const room = rooms[roomId];
+    const playerInfo = players[socketId];
+
+    if (playerInfo) {
+        if (playerInfo.isSpectator) {
+            io.to(roomId).emit('spectatorLeft', {
+                spectator: playerInfo.username,
+                isAdmin: playerInfo.isAdmin
+            });
+        } else {
+            const player = room.players.find(p => p.id === socketId);
+            if (player) {
+                io.to(roomId).emit('playerLeft', {
+                    player: player.username,
+                    players: room.players.filter(p => p.id !== socketId)
+                });
+            }
+        }
+    }
+
+    removePlayerFromRoom(socketId);
+
+    // Update lists after removal
+    if (rooms[roomId]) {
+        io.to(roomId).emit('playersUpdate', rooms[roomId].players);
+        io.to(roomId).emit('spectatorsUpdate', rooms[roomId].spectators);
+    }
+}
+
+function sendGameState(socket, room) {
+    // Bring a socket that joined or resumed mid-game up to date
+    if (!room.gameStarted) return;
+    if (room.adminPaused) socket.emit('gamePaused');
+    if (!room.turnActive) return;
+
+    const playerInfo = players[socket.id];
+    const isDrawer = room.currentDrawer === socket.id;
+    const canSeeWord = isDrawer || (playerInfo && playerInfo.isSpectator);
+    const drawer = room.players.find(p => p.id === room.currentDrawer);
+
+    if (room.choosingWord) {
+        if (isDrawer) {
+            socket.emit('wordChoices', {
+                choices: room.wordChoices,
+                timeLeft: room.wordChoiceTimeLeft
+            });
+        } else {
+            socket.emit('choosingWord', {
+                drawer: drawer,
+                round: room.round,
+                maxRounds: room.maxRounds,
+                turn: room.turn,
+                turnsInRound: getTurnsInRound(room),
+                timeLeft: room.wordChoiceTimeLeft
+            });
+        }
+        return;
+    }
+
+    socket.emit('roundStart', {
+        drawer: drawer,
+        word: canSeeWord ? room.currentWord : room.wordHint,
+        hint: room.wordHint,
+        round: room.round,
+        maxRounds: room.maxRounds,
+        turn: room.turn,
+        turnsInRound: getTurnsInRound(room),
+        ...getTurnTimer(room)
+    });
+
+    if (canSeeWord) {
+        socket.emit('wordReveal', room.currentWord);
+    }
+
+    // Replay what has been drawn so far this turn
+    if (room.strokeLog.length > 0 || room.redoStack.length > 0) {
+        sendCanvasState(socket, room);
+    }
+
+    if (room.stealing) {
+        socket.emit('stealStart', { team: teams.getOpposingTeam(drawer.team), ...getTurnTimer(room) });
+    }
+
+    if (room.paused) {
+        socket.emit('turnPaused', { reason: 'Waiting for the drawer to reconnect' });
+    }
+}
+
+function sendCanvasState(socket, room) {
+    socket.emit('canvasState', {
+        v: drawing.PROTOCOL_VERSION,
+        operations: room.strokeLog.map(drawing.encodeOperation),
+        undone: room.redoStack.map(drawing.encodeOperation)
+    });
+}
+
+function createRoom(roomId, hostId, hostUsername, settings = gameSettings.DEFAULT_SETTINGS, isSpectator = false, isAdmin = false) {
+    rooms[roomId] = {
+        id: roomId,
+        players: [],
+        spectators: [],
+        gameStarted: false,
+        currentDrawer: null,
+        currentWord: '',
+        round: 1,
+        turn: 0,
+        drawOrder: [],
+        turnQueue: [],
+        turnActive: false,
+        stealing: false,
+        turnScores: {},
+        correctGuesses: 0,
+        strokeLog: [],
+        redoStack: [],
+        openStroke: null,
+        canvasPoints: 0,
+        paused: false,
+        adminPaused: false,
+        maxRounds: settings.maxRounds,
+        roundTime: settings.roundTime,
+        totalTime: settings.totalTime,
+        deadline: null,
+        remainingMs: settings.roundTime * 1000,
+        timer: null,
+        wordHint: '',
+        revealedIndices: [],
+        hintSchedule: [],
+        choosingWord: false,
+        wordChoices: [],
+        wordChoiceTimer: null,
+        wordChoiceTimeLeft: 0,
+        nextTurnTimer: null,
+        turnEndTimer: null,
+        settings: settings,
+        wordList: buildWordList(settings),
+        usedWords: [],
+        voteKick: null,
+        nextVoteKickAt: 0,
+        kickedPlayers: [],
+        reportedBy: [],
+        gameStartedAt: null,
+        turnHistory: [],
+        adminId: null
+    };
+
+    if (isAdmin) {
+        // Admin is always a spectator
+        const admin = {
+            id: hostId,
+            username: hostUsername,
+            isAdmin: true,
+            isSpectator: true
+        };
+        rooms[roomId].spectators.push(admin);
+        rooms[roomId].adminId = hostId;
+        setPlayerInfo(hostId, { roomId, username: hostUsername, isSpectator: true, isAdmin: true });
+    } else if (isSpectator) {
+        // Regular spectator
+        const spectator = {
+            id: hostId,
+            username: hostUsername,
+            isAdmin: false,
+            isSpectator: true
+        };
+        rooms[roomId].spectators.push(spectator);
+        setPlayerInfo(hostId, { roomId, username: hostUsername, isSpectator: true, isAdmin: false });
+    } else {
+        // Regular player host
+        const host = {
+            id: hostId,
+            username: hostUsername,
+            score: 0,
+            isHost: true,
+            hasGuessed: false
+        };
+        rooms[roomId].players.push(host);
+        if (settings.teamMode) teams.assignMissingTeams(rooms[roomId].players);
+        setPlayerInfo(hostId, { roomId, username: hostUsername, isSpectator: false, isAdmin: false });
+    }
+
+    scheduleRoomListUpdate();
+    return roomId;
+}
+
+function addPlayerToRoom(roomId, playerId, username, isSpectator = false, isAdmin = false) {
+    if (!rooms[roomId]) return false;
+    
+    const room = rooms[roomId];
+    
+    if (isAdmin) {
+        // Admin is always a spectator
+        const admin = {
+            id: playerId,
+            username: username,
+            isSpectator: true,
+            isAdmin: true
+        };
+        room.spectators.push(admin);
+        room.adminId = playerId;
+        setPlayerInfo(playerId, { roomId, username, isSpectator: true, isAdmin: true });
+    } else if (isSpectator) {
+        // Regular spectator
+        const spectator = {
+            id: playerId,
+            username: username,
+            isSpectator: true,
+            isAdmin: false
+        };
+        room.spectators.push(spectator);
+        setPlayerInfo(playerId, { roomId, username, isSpectator: true, isAdmin: false });
+    } else {
+        // Regular player
+        if (room.players.length >= room.settings.maxPlayers) return false;
+        
+        const player = {
+            id: playerId,
+            username: username,
+            score: 0,
+            isHost: room.players.length === 0,
+            hasGuessed: false
+        };
+        room.players.push(player);
+        setPlayerInfo(playerId, { roomId, username, isSpectator: false, isAdmin: false });
+
+        if (room.settings.teamMode) {
+            // Late joiners join the smaller team and draw from the next round
+            teams.assignMissingTeams(room.players);
+        } else if (room.gameStarted) {
+            // Late joiners draw at the end of the current round
+            room.drawOrder.push(playerId);
+            room.turnQueue.push(playerId);
+        }
+    }
+
+    scheduleRoomListUpdate();
+    return true;
+}
+
+function removePlayerFromRoom(socketId) {
+    const roomId = findRoomBySocketId(socketId);
+    if (!roomId || !rooms[roomId]) return;
+
+    const room = rooms[roomId];
+    const playerInfo = players[socketId];
+
+    if (playerInfo && playerInfo.isSpectator) {
+        // Remove spectator
+        room.spectators = room.spectators.filter(s => s.id !== socketId);
+        if (room.adminId === socketId) {
+            room.adminId = null;
+        }
+    } else {
+        // A vote against someone who left has nothing left to decide
+        if (room.voteKick && room.voteKick.targetId === socketId) {
+            finishVoteKick(room, false);
+        }
+
+        // Remove player
+        room.players = room.players.filter(p => p.id !== socketId);
+        room.drawOrder = room.drawOrder.filter(id => id !== socketId);
+        room.turnQueue = room.turnQueue.filter(id => id !== socketId);
+        
+        // If drawer left, move to next player
+        if (room.currentDrawer === socketId && room.gameStarted) {
+            endRound(roomId);
+        }
+
+        // Assign new host if needed
+        if (room.players.length > 0 && !room.players.some(p => p.isHost)) {
+            room.players[0].isHost = true;
+        }
+    }
+
+    // If room is empty (no players and no spectators), delete it
+    if (room.players.length === 0 && room.spectators.length === 0) {
+        deleteRoom(roomId);
+    }
+
+    if (playerInfo && playerInfo.sessionToken && sessions[playerInfo.sessionToken]) {
+        const session = sessions[playerInfo.sessionToken];
+        if (session.graceTimer) clock.clearTimeout(session.graceTimer);
+        delete sessions[playerInfo.sessionToken];
+        stateStore.deleteSession(playerInfo.sessionToken).catch(logStoreError);
+    }
+
+    deletePlayerInfo(socketId);
+    scheduleRoomListUpdate();
+}
+
+function startGame(roomId, customSettings = null) {
+    const room = rooms[roomId];
+    if (!room || room.gameStarted || room.players.length === 0) return false;
+
+    // Settings are validated by the caller
+    if (customSettings) {
+        configureRoom(room, customSettings);
+    }
+
+    if (room.wordList.length === 0) return false;
+
+    room.gameStarted = true;
+    room.adminPaused = false;
+    room.gameStartedAt = new Date(clock.now()).toISOString();
+    room.turnHistory = [];
+    room.round = 1;
+    room.turn = 0;
+    room.usedWords = [];
+    if (room.settings.teamMode && room.settings.teamAssignment === 'auto') {
+        teams.shuffleTeams(room.players);
+    }
+    room.drawOrder = room.settings.teamMode ? teams.buildDrawOrder(room.players) : room.players.map(p => p.id);
+    room.turnQueue = [...room.drawOrder];
+    scheduleRoomListUpdate();
+
+    // Reset all players
+    room.players.forEach(player => {
+        player.score = 0;
+        player.hasGuessed = false;
+    });
+    io.to(roomId).emit('playersUpdate', room.players);
+
+    startNextTurn(roomId);
+    return true;
+}
+
+function startNextTurn(roomId) {
+    const room = rooms[roomId];
+    if (!room) return;
+
+    let nextDrawer = getNextDrawer(room);
+    if (!nextDrawer) {
+        // Everyone has drawn this round
+        if (room.round >= room.maxRounds) {
+            endGame(roomId);
+            return;
+        }
+        room.round++;
+        room.turn = 0;
+        if (room.settings.teamMode) {
+            // Rebuilt each round so late joiners and team changes keep the teams alternating
+            room.drawOrder = teams.buildDrawOrder(room.players);
+        }
+        room.turnQueue = room.drawOrder.filter(id => room.players.some(p => p.id === id));
+        nextDrawer = getNextDrawer(room);
+        if (!nextDrawer) {
+            endGame(roomId);
+            return;
+        }
+    }
+
+    room.turn++;
+    room.currentDrawer = nextDrawer.id;
+    startWordSelection(roomId);
+}
+
+function startWordSelection(roomId) {
+    const room = rooms[roomId];
+    if (!room) return;
+
+    const drawer = room.players.find(p => p.id === room.currentDrawer);
+    room.turnActive = true;
+    room.stealing = false;
+    // A drawer who is still away holds up their turn until they resume or lose the seat
+    room.paused = Boolean(drawer && drawer.disconnected);
+    room.turnScores = {};
+    room.correctGuesses = 0;
+    room.reportedBy = [];
+    resetCanvas(room);
+    room.choosingWord = true;
+    room.currentWord = '';
+    room.wordHint = '';
+    room.wordChoices = getWordChoices(room, room.settings.wordChoiceCount);
+    room.wordChoiceTimeLeft = room.settings.wordChoiceTime;
+
+    // Only the drawer sees the candidates, everyone else waits
+    io.to(room.currentDrawer).emit('wordChoices', {
+        choices: room.wordChoices,
+        timeLeft: room.wordChoiceTimeLeft
+    });
+    io.to(roomId).except(room.currentDrawer).emit('choosingWord', {
+        drawer: drawer,
+        round: room.round,
+        maxRounds: room.maxRounds,
+        turn: room.turn,
+        turnsInRound: getTurnsInRound(room),
+        timeLeft: room.wordChoiceTimeLeft
+    });
+    if (room.paused) {
+        io.to(roomId).emit('turnPaused', { reason: `Waiting for ${drawer.username} to reconnect` });
+    }
+
+    startWordChoiceTimer(room);
+}
+
+// Picks automatically if the drawer does not answer in time
+function startWordChoiceTimer(room) {
+    clearWordChoiceTimer(room);
+    room.wordChoiceTimer = clock.setInterval(() => {
+        if (isTurnFrozen(room)) return;
+        room.wordChoiceTimeLeft--;
+        io.to(room.id).emit('timeUpdate', room.wordChoiceTimeLeft);
+
+        if (room.wordChoiceTimeLeft <= 0) {
+            const autoWord = room.wordChoices[Math.floor(Math.random() * room.wordChoices.length)];
+            lockInWord(room.id, autoWord);
+        }
+    }, 1000);
+}
+
+function clearWordChoiceTimer(room) {
+    if (room.wordChoiceTimer) {
+        clock.clearInterval(room.wordChoiceTimer);
+        room.wordChoiceTimer = null;
+    }
+}
+
+function lockInWord(roomId, word) {
+    const room = rooms[roomId];
+    if (!room || !room.choosingWord) return;
+
+    clearWordChoiceTimer(room);
+
+    room.choosingWord = false;
+    room.wordChoices = [];
+    room.currentWord = word;
+    room.usedWords.push(word);
+    startRound(roomId);
+}
+
+function chooseWord(roomId, playerId, word) {
+    const room = rooms[roomId];
+    if (!room || !room.choosingWord || room.currentDrawer !== playerId) return false;
+    if (!room.wordChoices.includes(word)) return false;
+
+    lockInWord(roomId, word);
+    return true;
+}
+
+function startRound(roomId) {
+    const room = rooms[roomId];
+    if (!room) return;
+
+    room.players.forEach(player => {
+        player.hasGuessed = false;
+    });
+
+    // Fresh hint for the new word
+    room.revealedIndices = [];
+    room.wordHint = buildWordHint(room.currentWord);
+    room.hintSchedule = buildHintSchedule(room);
+    setTurnTime(room, room.roundTime * 1000);
+
+    // Emit game state to players (they see hint)
+    room.players.forEach(player => {
+        const wordToSend = player.id === room.currentDrawer ? room.currentWord : room.wordHint;
+        io.to(player.id).emit('roundStart', {
+            drawer: room.players.find(p => p.id === room.currentDrawer),
+            word: wordToSend,
+            hint: room.wordHint,
+            round: room.round,
+            maxRounds: room.maxRounds,
+            turn: room.turn,
+            turnsInRound: getTurnsInRound(room),
+            ...getTurnTimer(room)
+        });
+    });
+
+    // Emit game state to spectators (they see actual word)
+    room.spectators.forEach(spectator => {
+        io.to(spectator.id).emit('roundStart', {
+            drawer: room.players.find(p => p.id === room.currentDrawer),
+            word: room.currentWord, // Admin/spectators see the actual word
+            hint: room.wordHint,
+            round: room.round,
+            maxRounds: room.maxRounds,
+            turn: room.turn,
+            turnsInRound: getTurnsInRound(room),
+            ...getTurnTimer(room)
+        });
+    });
+
+    // Send actual word to drawer
+    if (room.currentDrawer) {
+        io.to(room.currentDrawer).emit('wordReveal', room.currentWord);
+    }
+
+    // Send actual word to all spectators (including admin)
+    room.spectators.forEach(spectator => {
+        io.to(spectator.id).emit('wordReveal', room.currentWord);
+    });
+
+}
+
+// The turn runs against an absolute deadline, so it can't drift however late its timer fires.
+// While the turn is frozen there is no deadline and remainingMs holds the time that was left.
+function isTurnFrozen(room) {
+    return room.paused || room.adminPaused;
+}
+
+function getRemainingMs(room) {
+    if (room.deadline === null) return room.remainingMs;
+    return Math.max(room.deadline - clock.now(), 0);
+}
+
+// Whole seconds left, as shown to players and used for scoring
+function getTimeLeft(room) {
+    return Math.ceil(getRemainingMs(room) / 1000);
+}
+
+// What clients need to count the turn down themselves
+function getTurnTimer(room) {
+    return {
+        deadline: room.deadline,
+        timeLeft: getTimeLeft(room),
+        paused: isTurnFrozen(room)
+    };
+}
+
+// Whether every player who can score this turn has guessed
+function everyoneHasGuessed(room) {
+    return room.players.every(p =>
+        p.id === room.currentDrawer || p.hasGuessed || p.disconnected || !canScoreThisTurn(room, p)
+    );
+}
+
+// The turn ends a second after the last guess, so everyone sees it land
+function scheduleTurnEnd(room) {
+    if (room.turnEndTimer) return;
+    room.turnEndTimer = clock.setTimeout(() => {
+        room.turnEndTimer = null;
+        endRound(room.id);
+    }, 1000);
+}
+
+function clearTurnEndTimer(room) {
+    if (room.turnEndTimer) {
+        clock.clearTimeout(room.turnEndTimer);
+        room.turnEndTimer = null;
+    }
+}
+
+function clearTurnTimer(room) {
+    if (room.timer) {
+        clock.clearTimeout(room.timer);
+        room.timer = null;
+    }
+}
+
+// Gives the turn ms to run from now, or from when it is unfrozen
+function setTurnTime(room, ms) {
+    room.remainingMs = ms;
+    room.deadline = isTurnFrozen(room) ? null : clock.now() + ms;
+    scheduleTurnTimer(room);
+}
+
+// Starts or stops the countdown to match the pause flags, and tells the room
+function updateTurnClock(room) {
+    if (!room.turnActive || room.choosingWord) return;
+
+    if (isTurnFrozen(room) && room.deadline !== null) {
+        room.remainingMs = getRemainingMs(room);
+        room.deadline = null;
+        clearTurnTimer(room);
+    } else if (!isTurnFrozen(room) && room.deadline === null) {
+        room.deadline = clock.now() + room.remainingMs;
+        scheduleTurnTimer(room);
+    }
+    io.to(room.id).emit('turnTimer', getTurnTimer(room));
+}
+
+// One timer, woken for the next hint letter or the deadline, whichever comes first
+function scheduleTurnTimer(room) {
+    clearTurnTimer(room);
+    if (room.deadline === null) return;
+
+    let wakeAt = room.deadline;
+    if (!room.stealing && room.hintSchedule.length > 0) {
+        wakeAt = Math.min(wakeAt, room.deadline - (room.roundTime - room.hintSchedule[0]) * 1000);
+    }
+    room.timer = clock.setTimeout(() => {
+        room.timer = null;
+        onTurnTimer(room);
+    }, Math.max(wakeAt - clock.now(), 0));
+}
+
+function onTurnTimer(room) {
+    if (!room.turnActive || room.deadline === null) return;
+    const remainingMs = getRemainingMs(room);
+
+    // Reveal letters that are due on the hint schedule
+    if (!room.stealing) {
+        const elapsed = room.roundTime - remainingMs / 1000;
+        let hintChanged = false;
+        while (room.hintSchedule.length > 0 && room.hintSchedule[0] <= elapsed) {
+            room.hintSchedule.shift();
+            hintChanged = revealHintLetter(room) || hintChanged;
+        }
+        if (hintChanged && remainingMs > 0) {
+            emitHintUpdate(room);
+        }
+    }
+
+    if (remainingMs > 0) {
+        scheduleTurnTimer(room);
+    } else if (canOfferSteal(room)) {
+        startSteal(room);
+    } else {
+        endRound(room.id);
+    }
+}
+
+// When the drawing team misses the word, the other team gets a short window to steal it
+function canOfferSteal(room) {
+    if (!room.settings.teamMode || room.settings.stealTime === 0 || room.stealing || room.correctGuesses > 0) {
+        return false;
+    }
+    const drawer = room.players.find(p => p.id === room.currentDrawer);
+    return Boolean(drawer) && room.players.some(p => p.team !== drawer.team && !p.disconnected);
+}
+
+function startSteal(room) {
+    const drawer = room.players.find(p => p.id === room.currentDrawer);
+    const team = teams.getOpposingTeam(drawer.team);
+    room.stealing = true;
+    setTurnTime(room, room.settings.stealTime * 1000);
+
+    io.to(room.id).emit('stealStart', { team: team, ...getTurnTimer(room) });
+}
+
+// In team mode only one team can score at a time: the drawer's, or the other one during a steal
+function canScoreThisTurn(room, player) {
+    if (!room.settings.teamMode) return true;
+
+    const drawer = room.players.find(p => p.id === room.currentDrawer);
+    if (!drawer) return false;
+    return room.stealing ? player.team !== drawer.team : player.team === drawer.team;
+}
+
+// An admin pause freezes the whole room: the turn clock, word choice, drawing and guessing
+function pauseGame(roomId) {
+    const room = rooms[roomId];
+    if (!room || !room.gameStarted || room.adminPaused) return false;
+
+    room.adminPaused = true;
+    clearTurnEndTimer(room);
+    updateTurnClock(room);
+    io.to(roomId).emit('gamePaused');
+    return true;
+}
+
+function resumeGame(roomId) {
+    const room = rooms[roomId];
+    if (!room || !room.gameStarted || !room.adminPaused) return false;
+
+    room.adminPaused = false;
+    updateTurnClock(room);
+    io.to(roomId).emit('gameResumed');
+    if (room.turnActive && !room.choosingWord && everyoneHasGuessed(room)) scheduleTurnEnd(room);
+    return true;
+}
+
+function addTurnTime(roomId, seconds) {
+    const room = rooms[roomId];
+    if (!room || !room.turnActive || room.choosingWord) return false;
+
+    setTurnTime(room, getRemainingMs(room) + seconds * 1000);
+    io.to(roomId).emit('turnTimer', getTurnTimer(room));
+    return true;
+}
+
+function endRound(roomId) {
+    const room = rooms[roomId];
+    if (!room || !room.turnActive) return;
+    // A turn that ends before its word is picked never started, so it isn't saved
+    const wordChosen = !room.choosingWord;
+    room.turnActive = false;
+    room.stealing = false;
+    clearTurnTimer(room);
+    clearWordChoiceTimer(room);
+    clearTurnEndTimer(room);
+    room.deadline = null;
+    room.choosingWord = false;
+    room.wordChoices = [];
+
+    // Drawer earns points for the guessers who got it
+    const drawer = room.players.find(p => p.id === room.currentDrawer);
+    if (drawer) {
+        const guesserCount = room.players.filter(p =>
+            p.id !== drawer.id && (!room.settings.teamMode || p.team === drawer.team)).length;
+        const drawerScore = scoring.calculateDrawerScore(room.settings.scoringPreset, room.correctGuesses, guesserCount);
+        drawer.score += drawerScore;
+        room.turnScores[drawer.id] = drawerScore;
+    }
+
+    const scoreBreakdown = room.players
+        .map(p => ({
+            id: p.id,
+            username: p.username,
+            points: room.turnScores[p.id] || 0,
+            isDrawer: p.id === room.currentDrawer
+        }))
+        .sort((a, b) => b.points - a.points);
+
+    // Kept for the game's saved results
+    if (wordChosen) {
+        room.turnHistory.push({
+            round: room.round,
+            turn: room.turn,
+            drawer: drawer ? drawer.username : null,
+            word: room.currentWord,
+            scores: scoreBreakdown.map(entry => ({ username: entry.username, points: entry.points }))
+        });
+    }
+
+    // Emit round end
+    io.to(roomId).emit('roundEnd', {
+        word: room.currentWord,
+        players: room.players,
+        scoreBreakdown: scoreBreakdown,
+        teamScores: room.settings.teamMode ? teams.getTeamScores(room.players) : null,
+        round: room.round,
+        maxRounds: room.maxRounds,
+        turn: room.turn,
+        turnsInRound: getTurnsInRound(room)
+    });
+
+    // Check if game should end
+    room.turnQueue = room.turnQueue.filter(id => room.players.some(p => p.id === id));
+    if (room.turnQueue.length === 0 && room.round >= room.maxRounds) {
+        endGame(roomId);
+    } else {
+        scheduleNextTurn(room);
+    }
+}
+
+// Short break between turns so everyone sees the word and the scores
+function scheduleNextTurn(room) {
+    room.nextTurnTimer = clock.setTimeout(() => {
+        room.nextTurnTimer = null;
+        if (room.gameStarted && room.players.length > 0) {
+            startNextTurn(room.id);
+        }
+    }, 3000);
+}
+
+function endGame(roomId) {
+    const room = rooms[roomId];
+    if (!room) return;
+
+    room.gameStarted = false;
+    room.turnActive = false;
+    room.stealing = false;
+    room.paused = false;
+    room.adminPaused = false;
+    room.deadline = null;
+    room.currentDrawer = null;
+    room.currentWord = '';
+    room.round = 1;
+    room.turn = 0;
+    room.drawOrder = [];
+    room.turnQueue = [];
+    room.choosingWord = false;
+    room.wordChoices = [];
+    room.kickedPlayers = [];
+    scheduleRoomListUpdate();
+
+    // Clear timer if exists
+    clearTurnTimer(room);
+    clearWordChoiceTimer(room);
+    clearTurnEndTimer(room);
+    if (room.nextTurnTimer) {
+        clock.clearTimeout(room.nextTurnTimer);
+        room.nextTurnTimer = null;
     }
 
     // Sort players by score
     const finalScores = [...room.players].sort((a, b) => b.score - a.score);
+    const teamScores = room.settings.teamMode ? teams.getTeamScores(room.players) : null;
+    const winningTeam = room.settings.teamMode ? teams.getWinningTeam(room.players) : null;
+    const game = saveGameResult(room, finalScores, teamScores, winningTeam);
+
+    io.to(roomId).emit('gameEnd', {
+        finalScores: finalScores,
+        winner: finalScores[0] || null,
+        teamScores: teamScores,
+        winningTeam: winningTeam,
+        gameId: game ? game.id : null
+    });
+}
+
+// Stores a finished game in the history, unless no turn was ever completed
+function saveGameResult(room, finalScores, teamScores, winningTeam) {
+    const turnHistory = room.turnHistory;
+    room.turnHistory = [];
+    if (turnHistory.length === 0 || finalScores.length === 0) return null;
+
+    // Winners are the winning team, or everyone tied on the top score
+    const topScore = finalScores[0].score;
+    const isWinner = player => room.settings.teamMode
+        ? Boolean(winningTeam) && player.team === winningTeam.id
+        : topScore > 0 && player.score === topScore;
+
+    const game = history.recordGame({
+        roomId: room.id,
+        startedAt: room.gameStartedAt,
+        endedAt: new Date(clock.now()).toISOString(),
+        settings: getPublicSettings(room),
+        players: finalScores.map(player => ({
+            username: player.username,
+            score: player.score,
+            team: player.team || null,
+            won: isWinner(player)
+        })),
+        turns: turnHistory,
+        teamScores: teamScores,
+        winningTeam: winningTeam ? winningTeam.id : null
+    });
+    console.log(`Saved game ${game.id} from room ${room.id}`);
+    return game;
+}
+
+function checkGuess(roomId, playerId, guess) {
+    const room = rooms[roomId];
+    if (!room || !room.gameStarted || !room.turnActive || room.choosingWord) return 'wrong';
+
+    const player = room.players.find(p => p.id === playerId);
+    if (!player || player.hasGuessed || playerId === room.currentDrawer || !canScoreThisTurn(room, player)) return 'wrong';
+    if (room.adminPaused) return 'paused';
+
+    const result = compareGuess(guess, room.currentWord, room.settings);
+    if (result === 'correct') {
+        // A steal scores like a first guess, against the steal window instead of the turn
+        const stolen = room.stealing;
+        if (!stolen) room.correctGuesses++;
+        const score = stolen
+            ? scoring.calculateGuesserScore(room.settings.scoringPreset, getTimeLeft(room), room.settings.stealTime, 1)
+            : scoring.calculateGuesserScore(room.settings.scoringPreset, getTimeLeft(room), room.roundTime, room.correctGuesses);
+        player.score += score.total;
+        player.hasGuessed = true;
+        room.turnScores[playerId] = score.total;
+
+        io.to(roomId).emit('correctGuess', {
+            player: player.username,
+            score: score.total,
+            orderBonus: score.orderBonus,
+            stolen: stolen,
+            players: room.players
+        });
+
+        if (stolen) {
+            endRound(roomId);
+            return result;
+        }
+
+        if (everyoneHasGuessed(room)) {
+            scheduleTurnEnd(room);
+        }
+    }
+
+    return result;
+}
+
+function isAdmin(socketId) {
+    const playerInfo = players[socketId];
+    return playerInfo && playerInfo.isAdmin === true;
+}
+
+function canStartGame(socketId, roomId) {
+    if (!rooms[roomId]) return false;
+    
+    const room = rooms[roomId];
+    const playerInfo = players[socketId];
+
+    // Admin can always start game (but must have at least 1 player in room)
+    if (playerInfo && playerInfo.isAdmin && room.players.length > 0) {
+        return true;
+    }
+
+    // Host can start game
+    const player = room.players.find(p => p.id === socketId);
+    return player && player.isHost;
+}
+
+async function handleCreateRoom(socket, data) {
+    console.log('Create room request:', data);
+    const { username, settings, isSpectator = false, isAdmin = false } = data;
+
+    if (isAdmin && !socket.data.isAdmin) {
+        socket.emit('joinError', 'Admin authentication required');
+        return;
+    }
+
+    const ban = !isAdmin && moderation.findBan(username, getClientAddress(socket));
+    if (ban) {
+        socket.emit('joinError', describeBan(ban));
+        return;
+    }
+
+    const { settings: roomSettings, error } = resolveSettings(settings, gameSettings.DEFAULT_SETTINGS);
+    if (error) {
+        socket.emit('createRoomError', error);
+        return;
+    }
+
+    let roomId;
+    try {
+        roomId = await reserveRoomCode();
+    } catch (error) {
+        logStoreError(error);
+        socket.emit('createRoomError', 'Could not create a room, please try again');
+        return;
+    }
+
+    createRoom(roomId, socket.id, username, roomSettings, isSpectator, isAdmin);
+    saveRoomState(rooms[roomId]).catch(logStoreError);
+    socket.leave(LOBBY_CHANNEL);
+    socket.join(roomId);
+
+    const room = rooms[roomId];
+    socket.emit('roomCreated', roomId, getPublicSettings(room));
+    socket.emit('playersUpdate', room.players);
+    socket.emit('spectatorsUpdate', room.spectators);
+
+    if (!isSpectator && !isAdmin) {
+        socket.emit('sessionToken', createSession(socket.id, roomId));
+    }
+
+    if (isAdmin) {
+        socket.emit('adminStatusUpdate', {
+            isAdmin: true,
+            roomId: roomId,
+            canControlGame: true
+        });
+    }
+}
+
+function handleJoinRoom(socket, { roomId, username, isSpectator = false, isAdmin = false }) {
+    console.log('Join room request:', { roomId, username, isSpectator, isAdmin });
+    if (isAdmin && !socket.data.isAdmin) {
+        socket.emit('joinError', 'Admin authentication required');
+        return;
+    }
+
+    const ban = !isAdmin && moderation.findBan(username, getClientAddress(socket));
+    if (ban) {
+        socket.emit('joinError', describeBan(ban));
+        return;
+    }
+
+    if (rooms[roomId]) {
+        const room = rooms[roomId];
+        
+        if (!isSpectator && !isAdmin && room.players.length >= room.settings.maxPlayers) {
+            socket.emit('joinError', 'Room is full');
+            return;
+        }
+
+        if (!isAdmin && isBarredFromRoom(room, username)) {
+            socket.emit('joinError', 'You were voted out of this room until the game ends');
+            return;
+        }
+
+        if (isUsernameTaken(room, username)) {
+            socket.emit('joinError', 'That username is already taken in this room');
+            return;
+        }
+
+        if (addPlayerToRoom(roomId, socket.id, username, isSpectator, isAdmin)) {
+            socket.leave(LOBBY_CHANNEL);
+            socket.join(roomId);
+            socket.emit('roomJoined', {
+                roomId: roomId,
+                settings: getPublicSettings(room)
+            });
+
+            if (isAdmin) {
+                socket.emit('adminStatusUpdate', {
+                    isAdmin: true,
+                    roomId: roomId,
+                    canControlGame: true
+                });
+            }
+
+            if (!isSpectator && !isAdmin) {
+                socket.emit('sessionToken', createSession(socket.id, roomId));
+            }
+
+            sendGameState(socket, room);
+
+            io.to(roomId).emit('playersUpdate', room.players);
+            io.to(roomId).emit('spectatorsUpdate', room.spectators);
+
+            if (isSpectator || isAdmin) {
+                io.to(roomId).emit('spectatorJoined', {
+                    spectator: username,
+                    isAdmin: isAdmin
+                });
+            } else {
+                io.to(roomId).emit('playerJoined', {
+                    player: username,
+                    players: room.players
+                });
+            }
+        }
+    } else {
+        socket.emit('joinError', 'Room not found');
+    }
+}
+
+// Wraps a socket event handler so it runs with the validated, cleaned-up payload.
+// A payload that doesn't match is reported to the sender on the event's error event.
+function withValidation(socket, event, handler) {
+    const schema = validation.EVENT_SCHEMAS[event];
+    if (!schema) throw new Error(`No payload schema for socket event: ${event}`);
+
+    return (...args) => {
+        const { args: values, error } = validation.validateEvent(event, args);
+        if (error) {
+            console.log(`Rejected ${event} from ${socket.id}: ${error}`);
+            socket.emit(schema.errorEvent, error);
+            return;
+        }
+        return handler(...values);
+    };
+}
+
+// Socket.IO event handlers, for sockets on this process and stand-ins for sockets on others
+function registerSocketHandlers(socket) {
+    // Client events only reach their handler once the payload matches the event's schema
+    const on = (event, handler) => socket.on(event, withValidation(socket, event, handler));
+
+    socket.data.drawingMessages = createRateLimiter(DRAWING_MESSAGE_LIMIT.capacity, DRAWING_MESSAGE_LIMIT.perSecond, clock.now);
+    socket.data.drawingPoints = createRateLimiter(DRAWING_POINT_LIMIT.capacity, DRAWING_POINT_LIMIT.perSecond, clock.now);
+    socket.data.chatMessages = createRateLimiter(CHAT_MESSAGE_LIMIT.capacity, CHAT_MESSAGE_LIMIT.perSecond, clock.now);
+
+    // Create room
+    on('createRoom', (data) => {
+        handleCreateRoom(socket, data);
+    });
+
+    // Join room
+    on('joinRoom', (data) => {
+        handleJoinRoom(socket, data);
+    });
+
+    // Put the player in the best open public room, or open a new one
+    on('quickPlay', async (data) => {
+        const username = data.username;
+        console.log('Quick play request:', username);
+
+        try {
+            const roomId = await findQuickPlayRoom(socket, username);
+            if (!roomId) {
+                handleCreateRoom(socket, { username, settings: { visibility: 'public' } });
+            } else if (!(await forwardToOwner(socket, roomId, 'joinRoom', [{ roomId, username }]))) {
+                handleJoinRoom(socket, { roomId, username });
+            }
+        } catch (error) {
+            logStoreError(error);
+            socket.emit('joinError', 'Could not find a room, please try again');
+        }
+    });
+
+    // Lobby room browser
+    on('subscribeRoomList', () => {
+        socket.join(LOBBY_CHANNEL);
+        getPublicRoomList()
+            .then(list => socket.emit('roomListUpdate', list))
+            .catch(logStoreError);
+    });
+
+    on('unsubscribeRoomList', () => {
+        socket.leave(LOBBY_CHANNEL);
+    });
+
+    // Clients work out their offset from the server clock, to count turns down to the deadline
+    on('syncClock', () => {
+        socket.emit('clockSync', { serverTime: clock.now() });
+    });
+
+    // Start game
+    on('startGame', (customSettings) => {
+        console.log('Start game requested by:', socket.id, 'settings:', customSettings);
+        const roomId = findRoomBySocketId(socket.id);
+        
+        if (!roomId || !rooms[roomId]) {
+            socket.emit('startGameError', 'Room not found');
+            return;
+        }
+
+        const room = rooms[roomId];
+        
+        if (!canStartGame(socket.id, roomId)) {
+            socket.emit('startGameError', 'You do not have permission to start the game');
+            return;
+        }
+
+        if (room.gameStarted) {
+            socket.emit('startGameError', 'Game is already started');
+            return;
+        }
+
+        if (room.players.length === 0) {
+            socket.emit('startGameError', 'Cannot start game: no players in room');
+            return;
+        }
+
+        const { settings, error } = resolveSettings(customSettings, room.settings);
+        if (error) {
+            socket.emit('startGameError', error);
+            return;
+        }
+
+        if (settings.teamMode && settings.teamAssignment === 'auto' && room.players.length < 2) {
+            socket.emit('startGameError', 'Team mode needs at least 2 players');
+            return;
+        }
+        if (settings.teamMode && settings.teamAssignment === 'choose' &&
+            teams.TEAMS.some(team => teams.getMembers(room.players, team.id).length === 0)) {
+            socket.emit('startGameError', 'Every team needs at least one player');
+            return;
+        }
+
+        const started = startGame(roomId, settings);
+        if (started) {
+            if (isAdmin(socket.id)) {
+                socket.emit('adminActionSuccess', 'Game started successfully');
+            }
+        } else {
+            socket.emit('startGameError', 'Failed to start game');
+        }
+    });
+
+    // Host (or admin) changes settings before the game starts
+    on('updateSettings', (newSettings) => {
+        const roomId = findRoomBySocketId(socket.id);
+        if (!roomId || !rooms[roomId]) {
+            socket.emit('settingsError', 'Room not found');
+            return;
+        }
 
-    io.to(roomId).emit('gameEnd', {
-        finalScores: finalScores,
-        winner: finalScores[0] || null
+        const room = rooms[roomId];
+        if (!canStartGame(socket.id, roomId)) {
+            socket.emit('settingsError', 'Only the host can change settings');
+            return;
+        }
+
+        if (room.gameStarted) {
+            socket.emit('settingsError', 'Settings cannot be changed during a game');
+            return;
+        }
+
+        const { settings, error } = resolveSettings(newSettings, room.settings);
+        if (error) {
+            socket.emit('settingsError', error);
+            return;
+        }
+
+        if (settings.maxPlayers < room.players.length) {
+            socket.emit('settingsError', `There are already ${room.players.length} players in the room`);
+            return;
+        }
+
+        configureRoom(room, settings);
+        io.to(roomId).emit('settingsUpdated', getPublicSettings(room));
     });
-}
 
-function checkGuess(roomId, playerId, guess) {
-    const room = rooms[roomId];
-    if (!room || !room.gameStarted) return false;
+    // Drawer picks the word for this turn
+    on('chooseWord', (word) => {
+        const roomId = findRoomBySocketId(socket.id);
+        if (!roomId || !rooms[roomId]) return;
 
-    const player = room.players.find(p => p.id === playerId);
-    if (!player || player.hasGuessed || playerId === room.currentDrawer) return false;
+        if (!chooseWord(roomId, socket.id, word)) {
+            socket.emit('chooseWordError', 'That word cannot be chosen right now');
+        }
+    });
 
-    if (guess.toLowerCase().trim() === room.currentWord.toLowerCase()) {
-        const score = calculateScore(room.timeLeft, room.roundTime);
-        player.score += score;
-        player.hasGuessed = true;
+    // Players pick their team in the lobby when the room lets them
+    on('chooseTeam', (teamId) => {
+        const roomId = findRoomBySocketId(socket.id);
+        if (!roomId || !rooms[roomId]) return;
 
-        io.to(roomId).emit('correctGuess', {
-            player: player.username,
-            score: score,
-            players: room.players
-        });
+        const room = rooms[roomId];
+        const player = room.players.find(p => p.id === socket.id);
+        if (!player) return;
+
+        if (!room.settings.teamMode) {
+            socket.emit('teamError', 'Team mode is off in this room');
+            return;
+        }
+        if (room.settings.teamAssignment !== 'choose') {
+            socket.emit('teamError', 'Teams are assigned automatically in this room');
+            return;
+        }
+        if (room.gameStarted) {
+            socket.emit('teamError', 'Teams cannot be changed during a game');
+            return;
+        }
+        if (!teams.isValidTeam(teamId)) {
+            socket.emit('teamError', 'Unknown team');
+            return;
+        }
 
-        // Check if all players have guessed
-        const allGuessed = room.players.every(p =>
-            p.id === room.currentDrawer || p.hasGuessed
-        );
+        player.team = teamId;
+        io.to(roomId).emit('playersUpdate', room.players);
+    });
 
-        if (allGuessed) {
-            setTimeout(() => endRound(roomId), 1000);
+    // ADMIN ACTIONS
+    on('adminSkipTurn', () => {
+        console.log('Admin skip turn requested by:', socket.id);
+        if (!isAdmin(socket.id)) {
+            socket.emit('adminError', 'Not authorized');
+            return;
         }
 
-        return true;
-    }
+        const roomId = findRoomBySocketId(socket.id);
+        if (!roomId || !rooms[roomId]) {
+            socket.emit('adminError', 'Room not found');
+            return;
+        }
 
-    return false;
-}
+        const room = rooms[roomId];
+        if (!room.gameStarted) {
+            socket.emit('adminError', 'No active game to skip');
+            return;
+        }
 
-function isAdmin(socketId) {
-    const playerInfo = players[socketId];
-    return playerInfo && playerInfo.isAdmin === true;
-}
+        endRound(roomId);
+        logAdminAction(socket, 'skipTurn', null, '');
+        io.to(roomId).emit('adminAction', { action: 'Turn skipped by admin' });
+        socket.emit('adminActionSuccess', 'Turn skipped successfully');
+    });
 
-function canStartGame(socketId, roomId) {
-    if (!rooms[roomId]) return false;
-    
-    const room = rooms[roomId];
-    const playerInfo = players[socketId];
+    on('adminEndGame', () => {
+        console.log('Admin end game requested by:', socket.id);
+        if (!isAdmin(socket.id)) {
+            socket.emit('adminError', 'Not authorized');
+            return;
+        }
 
-    // Admin can always start game (but must have at least 1 player in room)
-    if (playerInfo && playerInfo.isAdmin && room.players.length > 0) {
-        return true;
-    }
+        const roomId = findRoomBySocketId(socket.id);
+        if (!roomId || !rooms[roomId]) {
+            socket.emit('adminError', 'Room not found');
+            return;
+        }
 
-    // Host can start game
-    const player = room.players.find(p => p.id === socketId);
-    return player && player.isHost;
-}
+        const room = rooms[roomId];
+        if (!room.gameStarted) {
+            socket.emit('adminError', 'No game is currently running');
+            return;
+        }
 
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-    console.log('User connected:', socket.id);
+        endGame(roomId);
+        logAdminAction(socket, 'endGame', null, '');
+        io.to(roomId).emit('adminAction', { action: 'Game ended by admin' });
+        socket.emit('adminActionSuccess', 'Game ended successfully');
+    });
 
-    // Create room
-    socket.on('createRoom', (data) => {
-        console.log('Create room request:', data);
-        const username = typeof data === 'string' ? data : data.username;
-        const settings = typeof data === 'object' ? data.settings : undefined;
-        const isSpectator = typeof data === 'object' ? data.isSpectator : false;
-        const isAdmin = typeof data === 'object' ? data.isAdmin : false;
+    on('adminPauseGame', () => {
+        console.log('Admin pause game requested by:', socket.id);
+        if (!isAdmin(socket.id)) {
+            socket.emit('adminError', 'Not authorized');
+            return;
+        }
 
-        const roomId = createRoom(socket.id, username, settings, isSpectator, isAdmin);
-        socket.join(roomId);
-        socket.emit('roomCreated', roomId);
+        const roomId = findRoomBySocketId(socket.id);
+        if (!roomId || !rooms[roomId]) {
+            socket.emit('adminError', 'Room not found');
+            return;
+        }
 
         const room = rooms[roomId];
-        socket.emit('playersUpdate', room.players);
-        socket.emit('spectatorsUpdate', room.spectators);
+        if (!room.gameStarted) {
+            socket.emit('adminError', 'No active game to pause');
+            return;
+        }
+        if (room.adminPaused) {
+            socket.emit('adminError', 'The game is already paused');
+            return;
+        }
 
-        if (isAdmin) {
-            socket.emit('adminStatusUpdate', {
-                isAdmin: true,
-                roomId: roomId,
-                canControlGame: true
-            });
+        pauseGame(roomId);
+        logAdminAction(socket, 'pauseGame', null, '');
+        io.to(roomId).emit('adminAction', { action: 'Game paused by admin' });
+        socket.emit('adminActionSuccess', 'Game paused');
+    });
+
+    on('adminResumeGame', () => {
+        console.log('Admin resume game requested by:', socket.id);
+        if (!isAdmin(socket.id)) {
+            socket.emit('adminError', 'Not authorized');
+            return;
+        }
+
+        const roomId = findRoomBySocketId(socket.id);
+        if (!roomId || !rooms[roomId]) {
+            socket.emit('adminError', 'Room not found');
+            return;
+        }
+
+        if (!resumeGame(roomId)) {
+            socket.emit('adminError', 'The game is not paused');
+            return;
         }
+
+        logAdminAction(socket, 'resumeGame', null, '');
+        io.to(roomId).emit('adminAction', { action: 'Game resumed by admin' });
+        socket.emit('adminActionSuccess', 'Game resumed');
     });
 
-    // Join room
-    socket.on('joinRoom', ({ roomId, username, isSpectator = false, isAdmin = false }) => {
-        console.log('Join room request:', { roomId, username, isSpectator, isAdmin });
-        if (rooms[roomId]) {
-            const room = rooms[roomId];
-            
-            if (!isSpectator && !isAdmin && room.players.length >= 8) {
-                socket.emit('joinError', 'Room is full');
-                return;
-            }
+    on('adminAddTime', (seconds) => {
+        console.log('Admin add time requested by:', socket.id, 'seconds:', seconds);
+        if (!isAdmin(socket.id)) {
+            socket.emit('adminError', 'Not authorized');
+            return;
+        }
 
-            if (addPlayerToRoom(roomId, socket.id, username, isSpectator, isAdmin)) {
-                socket.join(roomId);
-                socket.emit('roomJoined', {
-                    roomId: roomId,
-                    settings: room.settings
-                });
+        const roomId = findRoomBySocketId(socket.id);
+        if (!roomId || !rooms[roomId]) {
+            socket.emit('adminError', 'Room not found');
+            return;
+        }
 
-                if (isAdmin) {
-                    socket.emit('adminStatusUpdate', {
-                        isAdmin: true,
-                        roomId: roomId,
-                        canControlGame: true
-                    });
-                }
-
-                if (room.gameStarted) {
-                    const wordToSend = (isSpectator || isAdmin) ? room.currentWord : room.wordHint;
-                    socket.emit('roundStart', {
-                        drawer: room.players.find(p => p.id === room.currentDrawer),
-                        word: wordToSend,
-                        hint: room.wordHint,
-                        round: room.round,
-                        maxRounds: room.maxRounds,
-                        timeLeft: room.timeLeft
-                    });
-
-                    if (isSpectator || isAdmin) {
-                        socket.emit('wordReveal', room.currentWord);
-                    }
-                }
-
-                io.to(roomId).emit('playersUpdate', room.players);
-                io.to(roomId).emit('spectatorsUpdate', room.spectators);
-
-                if (isSpectator || isAdmin) {
-                    io.to(roomId).emit('spectatorJoined', {
-                        spectator: username,
-                        isAdmin: isAdmin
-                    });
-                } else {
-                    io.to(roomId).emit('playerJoined', {
-                        player: username,
-                        players: room.players
-                    });
-                }
-            }
-        } else {
-            socket.emit('joinError', 'Room not found');
+        if (seconds < 1 || seconds > MAX_ADDED_SECONDS) {
+            socket.emit('adminError', `Added time must be between 1 and ${MAX_ADDED_SECONDS} seconds`);
+            return;
+        }
+
+        if (!addTurnTime(roomId, seconds)) {
+            socket.emit('adminError', 'No turn in progress to add time to');
+            return;
         }
+
+        logAdminAction(socket, `addTime ${seconds}s`, null, '');
+        io.to(roomId).emit('adminAction', { action: `Admin added ${seconds} seconds to the turn` });
+        socket.emit('adminActionSuccess', `Added ${seconds} seconds`);
     });
 
-    // Start game
-    socket.on('startGame', (customSettings) => {
-        console.log('Start game requested by:', socket.id, 'settings:', customSettings);
+    on('adminKickPlayer', (data) => {
+        const playerId = data.playerId;
+        const reason = readReason(data);
+        console.log('Admin kick player requested by:', socket.id, 'target:', playerId);
+        if (!isAdmin(socket.id)) {
+            socket.emit('adminError', 'Not authorized');
+            return;
+        }
+
         const roomId = findRoomBySocketId(socket.id);
-        
         if (!roomId || !rooms[roomId]) {
-            socket.emit('startGameError', 'Room not found');
+            socket.emit('adminError', 'Room not found');
             return;
         }
 
         const room = rooms[roomId];
-        
-        if (!canStartGame(socket.id, roomId)) {
-            socket.emit('startGameError', 'You do not have permission to start the game');
+        const playerToKick = room.players.find(p => p.id === playerId);
+        if (!playerToKick) {
+            socket.emit('adminError', 'Player not found');
             return;
         }
 
-        if (room.gameStarted) {
-            socket.emit('startGameError', 'Game is already started');
+        // Store player info before removing
+        const playerUsername = playerToKick.username;
+
+        kickPlayerFromRoom(room, playerId, 'You have been kicked by an admin');
+        logAdminAction(socket, 'kick', playerUsername, reason);
+
+        // Update players list for remaining players
+        io.to(roomId).emit('playersUpdate', room.players);
+        io.to(roomId).emit('spectatorsUpdate', room.spectators);
+
+        // Notify room about the kick
+        io.to(roomId).emit('adminAction', {
+            action: `Player ${playerUsername} was kicked by admin`
+        });
+
+        socket.emit('adminActionSuccess', `Player ${playerUsername} kicked successfully`);
+    });
+
+    on('adminKickAll', () => {
+        console.log('Admin kick all requested by:', socket.id);
+        if (!isAdmin(socket.id)) {
+            socket.emit('adminError', 'Not authorized');
+            return;
+        }
+
+        const roomId = findRoomBySocketId(socket.id);
+        if (!roomId || !rooms[roomId]) {
+            socket.emit('adminError', 'Room not found');
             return;
         }
 
+        const room = rooms[roomId];
         if (room.players.length === 0) {
-            socket.emit('startGameError', 'Cannot start game: no players in room');
+            socket.emit('adminError', 'No players to kick');
             return;
         }
 
-        const started = startGame(roomId, customSettings);
-        if (started) {
-            if (isAdmin(socket.id)) {
-                socket.emit('adminActionSuccess', 'Game started successfully');
-            }
-        } else {
-            socket.emit('startGameError', 'Failed to start game');
+        // Store player list before kicking
+        const playersToKick = [...room.players];
+        const kickCount = playersToKick.length;
+
+        // Kick all players
+        playersToKick.forEach(player => {
+            kickPlayerFromRoom(room, player.id, 'You have been kicked by an admin');
+        });
+
+        logAdminAction(socket, 'kickAll', playersToKick.map(player => player.username).join(', '), '');
+
+        // End game if it was running
+        if (room.gameStarted) {
+            endGame(roomId);
+        }
+
+        // Update room state
+        io.to(roomId).emit('playersUpdate', []);
+        io.to(roomId).emit('spectatorsUpdate', room.spectators);
+        io.to(roomId).emit('adminAction', { action: 'All players kicked by admin' });
+        socket.emit('adminActionSuccess', `${kickCount} players kicked successfully`);
+    });
+
+    on('adminChatMessage', (message) => {
+        console.log('Admin chat message from:', socket.id, 'message:', message);
+        if (!isAdmin(socket.id)) {
+            socket.emit('adminError', 'Not authorized');
+            return;
+        }
+
+        const roomId = findRoomBySocketId(socket.id);
+        if (!roomId || !rooms[roomId]) {
+            socket.emit('adminError', 'Room not found');
+            return;
         }
+
+        const text = checkChatMessage(socket, message);
+        if (text === null) return;
+
+        const adminInfo = players[socket.id];
+        io.to(roomId).emit('chatMessage', {
+            player: `[ADMIN] ${adminInfo.username}`,
+            message: chatFilter.maskMessage(text),
+            isAdmin: true
+        });
     });
 
-    // ADMIN ACTIONS
-    socket.on('adminSkipTurn', () => {
-        console.log('Admin skip turn requested by:', socket.id);
+    on('adminMutePlayer', (data) => {
+        const { playerId, duration } = data;
+        console.log('Admin mute player requested by:', socket.id, 'target:', playerId, 'duration:', duration);
         if (!isAdmin(socket.id)) {
             socket.emit('adminError', 'Not authorized');
             return;
@@ -542,18 +2451,30 @@ io.on('connection', (socket) => {
         }
 
         const room = rooms[roomId];
-        if (!room.gameStarted) {
-            socket.emit('adminError', 'No active game to skip');
+        const player = room.players.find(p => p.id === playerId);
+        if (!player) {
+            socket.emit('adminError', 'Player not found');
             return;
         }
 
-        endRound(roomId);
-        io.to(roomId).emit('adminAction', { action: 'Turn skipped by admin' });
-        socket.emit('adminActionSuccess', 'Turn skipped successfully');
+        if (duration !== undefined && duration !== null &&
+            (!Number.isInteger(duration) || duration < 1 || duration > MAX_MUTE_SECONDS)) {
+            socket.emit('adminError', `Mute duration must be a whole number of seconds between 1 and ${MAX_MUTE_SECONDS}`);
+            return;
+        }
+
+        mutePlayer(room, player, duration || null);
+        logAdminAction(socket, duration ? `mute ${duration}s` : 'mute', player.username, readReason(data));
+
+        const length = duration ? ` for ${duration} seconds` : '';
+        io.to(playerId).emit('chatMuted', { duration: duration || null });
+        io.to(roomId).emit('playersUpdate', room.players);
+        io.to(roomId).emit('adminAction', { action: `Player ${player.username} was muted by admin${length}` });
+        socket.emit('adminActionSuccess', `Player ${player.username} muted${length}`);
     });
 
-    socket.on('adminEndGame', () => {
-        console.log('Admin end game requested by:', socket.id);
+    on('adminUnmutePlayer', (playerId) => {
+        console.log('Admin unmute player requested by:', socket.id, 'target:', playerId);
         if (!isAdmin(socket.id)) {
             socket.emit('adminError', 'Not authorized');
             return;
@@ -566,18 +2487,21 @@ io.on('connection', (socket) => {
         }
 
         const room = rooms[roomId];
-        if (!room.gameStarted) {
-            socket.emit('adminError', 'No game is currently running');
+        const player = room.players.find(p => p.id === playerId);
+        if (!player) {
+            socket.emit('adminError', 'Player not found');
             return;
         }
 
-        endGame(roomId);
-        io.to(roomId).emit('adminAction', { action: 'Game ended by admin' });
-        socket.emit('adminActionSuccess', 'Game ended successfully');
+        unmutePlayer(room, player);
+        logAdminAction(socket, 'unmute', player.username, '');
+        socket.emit('adminActionSuccess', `Player ${player.username} unmuted`);
     });
 
-    socket.on('adminKickPlayer', (playerId) => {
-        console.log('Admin kick player requested by:', socket.id, 'target:', playerId);
+    // Bans keep a player out of every room by username and address, across restarts
+    on('adminBanPlayer', async (data) => {
+        const { playerId, duration } = data;
+        console.log('Admin ban player requested by:', socket.id, 'target:', playerId, 'duration:', duration);
         if (!isAdmin(socket.id)) {
             socket.emit('adminError', 'Not authorized');
             return;
@@ -590,173 +2514,367 @@ io.on('connection', (socket) => {
         }
 
         const room = rooms[roomId];
-        const playerToKick = room.players.find(p => p.id === playerId);
-        if (!playerToKick) {
+        const player = room.players.find(p => p.id === playerId);
+        if (!player) {
             socket.emit('adminError', 'Player not found');
             return;
         }
 
-        // Store player info before removing
-        const playerUsername = playerToKick.username;
-
-        // Notify the player being kicked
-        io.to(playerId).emit('kicked', 'You have been kicked by an admin');
-
-        // Remove player from room
-        removePlayerFromRoom(playerId);
+        if (duration !== undefined && duration !== null &&
+            (!Number.isInteger(duration) || duration < 1 || duration > MAX_BAN_SECONDS)) {
+            socket.emit('adminError', `Ban duration must be a whole number of seconds between 1 and ${MAX_BAN_SECONDS}`);
+            return;
+        }
 
-        // Force disconnect the player
-        const kickedSocket = io.sockets.sockets.get(playerId);
-        if (kickedSocket) {
-            kickedSocket.leave(roomId);
-            kickedSocket.disconnect(true);
+        const playerSocket = findSocket(playerId);
+        const reason = readReason(data);
+        let ban;
+        try {
+            ban = await addBan({
+                username: player.username,
+                address: playerSocket ? getClientAddress(playerSocket) : null,
+                durationSeconds: duration || null,
+                reason: reason,
+                admin: socket.data.adminName
+            });
+        } catch (error) {
+            logStoreError(error);
+            socket.emit('adminError', 'Could not save the ban, please try again');
+            return;
         }
+        logAdminAction(socket, duration ? `ban ${duration}s` : 'ban', player.username, reason);
 
-        // Update players list for remaining players
+        kickPlayerFromRoom(room, playerId, describeBan(ban));
         io.to(roomId).emit('playersUpdate', room.players);
         io.to(roomId).emit('spectatorsUpdate', room.spectators);
+        io.to(roomId).emit('adminAction', { action: `Player ${player.username} was banned by admin` });
+        socket.emit('adminActionSuccess', `Player ${player.username} banned`);
+    });
 
-        // Notify room about the kick
-        io.to(roomId).emit('adminAction', {
-            action: `Player ${playerUsername} was kicked by admin`
-        });
+    on('adminGetBans', () => {
+        if (!socket.data.isAdmin) {
+            socket.emit('adminError', 'Not authorized');
+            return;
+        }
+        socket.emit('banList', moderation.listBans());
+    });
 
-        socket.emit('adminActionSuccess', `Player ${playerUsername} kicked successfully`);
+    on('adminLiftBan', async (banId) => {
+        console.log('Admin lift ban requested by:', socket.id, 'ban:', banId);
+        if (!socket.data.isAdmin) {
+            socket.emit('adminError', 'Not authorized');
+            return;
+        }
+
+        let ban;
+        try {
+            ban = await liftBan(banId);
+        } catch (error) {
+            logStoreError(error);
+            socket.emit('adminError', 'Could not lift the ban, please try again');
+            return;
+        }
+        if (!ban) {
+            socket.emit('adminError', 'Ban not found');
+            return;
+        }
+
+        logAdminAction(socket, 'liftBan', ban.username || ban.address, '');
+        socket.emit('adminActionSuccess', 'Ban lifted');
+        socket.emit('banList', moderation.listBans());
     });
 
-    socket.on('adminKickAll', () => {
-        console.log('Admin kick all requested by:', socket.id);
-        if (!isAdmin(socket.id)) {
+    // Moderation log review, for any authenticated admin socket
+    on('adminGetModerationLog', () => {
+        if (!socket.data.isAdmin) {
             socket.emit('adminError', 'Not authorized');
             return;
         }
 
-        const roomId = findRoomBySocketId(socket.id);
-        if (!roomId || !rooms[roomId]) {
-            socket.emit('adminError', 'Room not found');
+        // Drawing snapshots are fetched one at a time with adminGetReport
+        const entries = moderation.listEntries().map(({ operations, ...entry }) => ({
+            ...entry,
+            operationCount: operations ? operations.length : undefined
+        }));
+        socket.emit('moderationLog', entries);
+    });
+
+    on('adminGetReport', (entryId) => {
+        if (!socket.data.isAdmin) {
+            socket.emit('adminError', 'Not authorized');
+            return;
+        }
+
+        const entry = moderation.getEntry(entryId);
+        if (!entry || entry.type !== 'drawingReport') {
+            socket.emit('adminError', 'Report not found');
+            return;
+        }
+        if (!entry.operations) {
+            socket.emit('adminError', 'The drawing for this report is no longer kept');
             return;
         }
+        socket.emit('reportDetails', entry);
+    });
+
+    // Players can vote out a disruptive player without an admin in the room
+    on('startVoteKick', (targetId) => {
+        console.log('Vote-kick requested by:', socket.id, 'target:', targetId);
+        const roomId = findRoomBySocketId(socket.id);
+        if (!roomId || !rooms[roomId]) return;
 
         const room = rooms[roomId];
-        if (room.players.length === 0) {
-            socket.emit('adminError', 'No players to kick');
+        const initiator = room.players.find(p => p.id === socket.id);
+        if (!initiator) {
+            socket.emit('voteKickError', 'Only players can start a vote-kick');
             return;
         }
 
-        // Store player list before kicking
-        const playersToKick = [...room.players];
-        const kickCount = playersToKick.length;
+        const target = room.players.find(p => p.id === targetId);
+        if (!target || target.id === socket.id) {
+            socket.emit('voteKickError', 'Player not found');
+            return;
+        }
 
-        // Kick all players
-        playersToKick.forEach(player => {
-            io.to(player.id).emit('kicked', 'You have been kicked by an admin');
-            
-            // Remove from room
-            removePlayerFromRoom(player.id);
-            
-            // Force disconnect
-            const playerSocket = io.sockets.sockets.get(player.id);
-            if (playerSocket) {
-                playerSocket.leave(roomId);
-                playerSocket.disconnect(true);
-            }
-        });
+        if (room.voteKick) {
+            socket.emit('voteKickError', 'A vote-kick is already running');
+            return;
+        }
 
-        // End game if it was running
-        if (room.gameStarted) {
-            endGame(roomId);
+        const waitSeconds = Math.ceil((room.nextVoteKickAt - clock.now()) / 1000);
+        if (waitSeconds > 0) {
+            socket.emit('voteKickError', `Please wait ${waitSeconds} seconds before starting another vote-kick`);
+            return;
         }
 
-        // Update room state
-        io.to(roomId).emit('playersUpdate', []);
-        io.to(roomId).emit('spectatorsUpdate', room.spectators);
-        io.to(roomId).emit('adminAction', { action: 'All players kicked by admin' });
-        socket.emit('adminActionSuccess', `${kickCount} players kicked successfully`);
+        if (room.players.filter(p => !p.disconnected).length < MIN_VOTE_KICK_PLAYERS) {
+            socket.emit('voteKickError', `Vote-kicks need at least ${MIN_VOTE_KICK_PLAYERS} connected players`);
+            return;
+        }
+
+        startVoteKick(room, initiator, target);
     });
 
-    socket.on('adminChatMessage', (message) => {
-        console.log('Admin chat message from:', socket.id, 'message:', message);
-        if (!isAdmin(socket.id)) {
-            socket.emit('adminError', 'Not authorized');
+    on('castVote', (inFavour) => {
+        const roomId = findRoomBySocketId(socket.id);
+        if (!roomId || !rooms[roomId]) return;
+
+        const room = rooms[roomId];
+        const vote = room.voteKick;
+        if (!vote) {
+            socket.emit('voteKickError', 'There is no vote running');
+            return;
+        }
+        if (!vote.voters.includes(socket.id)) {
+            socket.emit('voteKickError', 'You cannot vote on this kick');
+            return;
+        }
+        if (vote.yes.includes(socket.id) || vote.no.includes(socket.id)) {
+            socket.emit('voteKickError', 'You have already voted');
             return;
         }
 
+        (inFavour ? vote.yes : vote.no).push(socket.id);
+        tallyVoteKick(room);
+    });
+
+    // Logs the current drawing for admins to review later
+    on('reportDrawing', (data) => {
         const roomId = findRoomBySocketId(socket.id);
-        if (!roomId || !rooms[roomId]) {
-            socket.emit('adminError', 'Room not found');
+        if (!roomId || !rooms[roomId]) return;
+
+        const room = rooms[roomId];
+        if (!room.gameStarted || !room.turnActive || room.choosingWord) {
+            socket.emit('reportError', 'There is no drawing to report right now');
+            return;
+        }
+        if (socket.id === room.currentDrawer) {
+            socket.emit('reportError', 'You cannot report your own drawing');
+            return;
+        }
+        if (room.reportedBy.includes(socket.id)) {
+            socket.emit('reportError', 'You have already reported this drawing');
             return;
         }
 
-        const adminInfo = players[socket.id];
-        io.to(roomId).emit('chatMessage', {
-            player: `[ADMIN] ${adminInfo.username}`,
-            message: message,
-            isAdmin: true
+        const reason = readReason(data);
+        const drawer = room.players.find(p => p.id === room.currentDrawer);
+
+        room.reportedBy.push(socket.id);
+        const operations = drawing.takeOperations(room.strokeLog, REPORT_POINT_LIMIT);
+        const entry = moderation.record('drawingReport', {
+            roomId: roomId,
+            reporter: players[socket.id].username,
+            drawer: drawer ? drawer.username : null,
+            word: room.currentWord,
+            round: room.round,
+            reason: reason,
+            v: drawing.PROTOCOL_VERSION,
+            operations: operations.map(drawing.encodeOperation),
+            truncated: operations.length < room.strokeLog.length
         });
+        console.log('Drawing reported in room:', roomId, 'entry:', entry.id);
+
+        socket.emit('reportReceived');
     });
 
-    // Handle drawing - FIXED: broadcast to ALL including spectators & admin
-    socket.on('drawingData', (data) => {
+    // Drawing, relayed to everyone else in the room including spectators and admins
+    on('drawingData', (data) => {
         const roomId = findRoomBySocketId(socket.id);
-        if (roomId && rooms[roomId] && rooms[roomId].currentDrawer === socket.id) {
-            console.log('Broadcasting drawing data to room:', roomId);
-            socket.broadcast.to(roomId).emit('drawingData', data); // includes spectators/admin
+        if (roomId && rooms[roomId] && canDraw(rooms[roomId], socket.id)) {
+            const room = rooms[roomId];
+            if (room.adminPaused) {
+                rejectDrawing(socket, room, 'The game is paused');
+                return;
+            }
+            if (!socket.data.drawingMessages.take()) {
+                rejectThrottledDrawing(socket, room);
+                return;
+            }
+
+            const { operation, error } = drawing.validateOperation(data);
+            if (error) {
+                rejectDrawing(socket, room, error);
+                return;
+            }
+            // The rest of a stroke that was closed: the drawer is already getting the canvas back
+            if (operation.type === 'strokeAppend' && !room.openStroke) return;
+            if (operation.points && !socket.data.drawingPoints.take(operation.points.length)) {
+                rejectThrottledDrawing(socket, room);
+                return;
+            }
+
+            const applyError = applyDrawingOperation(room, operation);
+            if (applyError) {
+                rejectDrawing(socket, room, applyError);
+                return;
+            }
+            socket.broadcast.to(roomId).emit('drawingData', drawing.encodeOperation(operation)); // includes spectators/admin
         }
     });
 
-    // Clear canvas - FIXED: broadcast to ALL including spectators & admin  
-    socket.on('clearCanvas', () => {
+    // Clear canvas, for everyone in the room including spectators and admins
+    on('clearCanvas', () => {
         const roomId = findRoomBySocketId(socket.id);
-        if (roomId && rooms[roomId] && rooms[roomId].currentDrawer === socket.id) {
-            console.log('Broadcasting clear canvas to room:', roomId);
+        if (roomId && rooms[roomId] && canDraw(rooms[roomId], socket.id)) {
+            if (rooms[roomId].adminPaused) {
+                socket.emit('drawingError', 'The game is paused');
+                return;
+            }
+            resetCanvas(rooms[roomId]);
             socket.broadcast.to(roomId).emit('clearCanvas');
         }
     });
 
     // Handle chat/guesses
-    socket.on('chatMessage', (message) => {
+    on('chatMessage', (rawMessage) => {
         const roomId = findRoomBySocketId(socket.id);
         if (!roomId || !rooms[roomId]) return;
 
+        const message = checkChatMessage(socket, rawMessage);
+        if (message === null) return;
+
         const room = rooms[roomId];
         const playerInfo = players[socket.id];
+        const wordInPlay = room.gameStarted && !room.choosingWord && room.currentWord;
+        // Guesses are checked as typed, everything shown to others is filtered
+        const shownMessage = chatFilter.maskMessage(message);
 
         if (playerInfo && playerInfo.isSpectator) {
+            // Spectators see the word, so they can't be allowed to pass it on
+            if (wordInPlay && revealsWord(message, room.currentWord, room.settings)) {
+                socket.emit('chatBlocked', { message, reason: 'Your message gives away the word' });
+                return;
+            }
+
             const displayName = playerInfo.isAdmin ? `[ADMIN] ${playerInfo.username}` : `[SPECTATOR] ${playerInfo.username}`;
-            io.to(roomId).emit('chatMessage', {
+            const chat = {
                 player: displayName,
-                message: message,
+                message: shownMessage,
                 isAdmin: playerInfo.isAdmin,
                 isSpectator: true
-            });
+            };
+
+            if (room.turnActive && room.settings.muteSpectatorsDuringTurn && !playerInfo.isAdmin) {
+                room.spectators.forEach(spectator => {
+                    io.to(spectator.id).emit('chatMessage', { ...chat, spectatorsOnly: true });
+                });
+                return;
+            }
+            io.to(roomId).emit('chatMessage', chat);
             return;
         }
 
         const player = room.players.find(p => p.id === socket.id);
         if (!player) return;
 
-        if (room.gameStarted && socket.id !== room.currentDrawer) {
-            const isCorrect = checkGuess(roomId, socket.id, message);
-            if (!isCorrect) {
+        if (wordInPlay && socket.id === room.currentDrawer && revealsWord(message, room.currentWord, room.settings)) {
+            socket.emit('chatBlocked', { message, reason: 'Your message gives away the word' });
+            return;
+        }
+
+        // Muted players can still guess, but nothing they type is shown to anyone
+        const muted = isMuted(player);
+        const isGuess = room.gameStarted && socket.id !== room.currentDrawer && !(wordInPlay && player.hasGuessed);
+        if (muted && !isGuess) {
+            socket.emit('chatBlocked', { message, reason: 'You are muted' });
+            return;
+        }
+
+        if (room.gameStarted && !room.choosingWord && player.hasGuessed) {
+            // Players who already know the word can only talk among themselves and the drawer
+            const recipients = [
+                ...room.players.filter(p => p.id === room.currentDrawer || p.hasGuessed),
+                ...room.spectators
+            ];
+            recipients.forEach(recipient => {
+                io.to(recipient.id).emit('chatMessage', {
+                    player: player.username,
+                    message: shownMessage,
+                    guessedOnly: true
+                });
+            });
+        } else if (wordInPlay && socket.id !== room.currentDrawer && !canScoreThisTurn(room, player)) {
+            // The team that can't score talks among itself, so nothing it types helps or spoils the other
+            if (muted) {
+                socket.emit('chatBlocked', { message, reason: 'You are muted' });
+                return;
+            }
+            [...teams.getMembers(room.players, player.team), ...room.spectators].forEach(recipient => {
+                io.to(recipient.id).emit('chatMessage', {
+                    player: player.username,
+                    message: shownMessage,
+                    teamOnly: true
+                });
+            });
+        } else if (room.gameStarted && socket.id !== room.currentDrawer) {
+            const result = checkGuess(roomId, socket.id, message);
+            if (result === 'paused') {
+                socket.emit('chatBlocked', { message, reason: 'The game is paused, guesses are on hold' });
+            } else if (result === 'close') {
+                socket.emit('closeGuess', { guess: message });
+            } else if (result === 'wrong' && muted) {
+                socket.emit('chatBlocked', { message, reason: 'You are muted, your guesses still count' });
+            } else if (result === 'wrong') {
                 io.to(roomId).emit('chatMessage', {
                     player: player.username,
-                    message: message
+                    message: shownMessage
                 });
             }
         } else {
             io.to(roomId).emit('chatMessage', {
                 player: player.username,
-                message: message
+                message: shownMessage
             });
         }
     });
 
     // Get room info
-    socket.on('getRoomInfo', (roomId) => {
+    on('getRoomInfo', (roomId) => {
         if (rooms[roomId]) {
             socket.emit('roomInfo', {
                 roomId: roomId,
-                settings: rooms[roomId].settings,
+                settings: getPublicSettings(rooms[roomId]),
                 players: rooms[roomId].players,
                 spectators: rooms[roomId].spectators,
                 gameStarted: rooms[roomId].gameStarted
@@ -766,41 +2884,72 @@ io.on('connection', (socket) => {
         }
     });
 
-    // Handle disconnection
+    // Pick up a held seat after a dropped connection
+    on('resumeSession', (token) => {
+        console.log('Resume session requested by:', socket.id);
+        if (!resumeSession(socket, token)) {
+            socket.emit('sessionError', 'Your session has expired');
+        }
+    });
+
+    // Handle disconnection (sent by socket.io itself, so there is no payload to check)
     socket.on('disconnect', () => {
         console.log('User disconnected:', socket.id);
-        const roomId = findRoomBySocketId(socket.id);
-        
-        if (roomId && rooms[roomId]) {
-            const room = rooms[roomId];
-            const playerInfo = players[socket.id];
-
-            if (playerInfo) {
-                if (playerInfo.isSpectator) {
-                    io.to(roomId).emit('spectatorLeft', {
-                        spectator: playerInfo.username,
-                        isAdmin: playerInfo.isAdmin
-                    });
-                } else {
-                    const player = room.players.find(p => p.id === socket.id);
-                    if (player) {
-                        io.to(roomId).emit('playerLeft', {
-                            player: player.username,
-                            players: room.players.filter(p => p.id !== socket.id)
-                        });
-                    }
-                }
-            }
 
-            removePlayerFromRoom(socket.id);
-            
-            // Update lists after removal
-            if (rooms[roomId]) {
-                io.to(roomId).emit('playersUpdate', rooms[roomId].players);
-                io.to(roomId).emit('spectatorsUpdate', rooms[roomId].spectators);
-            }
+        // Players keep their seat for a grace period, spectators leave right away
+        if (!holdSeat(socket.id)) {
+            handlePlayerDeparture(socket.id);
         }
     });
+}
+
+io.on('connection', (socket) => {
+    console.log('User connected:', socket.id);
+    socket.data.remoteOwners = [];
+
+    // With a shared store, events for rooms owned by another process are handed to it
+    if (stateStore.shared) {
+        socket.use(([event, ...args], next) => {
+            findEventRoom(socket, event, args)
+                .then(roomId => forwardToOwner(socket, roomId, event, args))
+                .then(forwarded => {
+                    if (!forwarded) next();
+                })
+                .catch(error => {
+                    logStoreError(error);
+                    next();
+                });
+        });
+
+        socket.on('disconnect', () => {
+            socket.data.remoteOwners.forEach(ownerId => {
+                io.serverSideEmit('forwardedEvent', ownerId, { socketId: socket.id, event: 'disconnect', args: [] });
+            });
+        });
+    }
+
+    registerSocketHandlers(socket);
+});
+
+// Another process banned someone or lifted a ban
+io.on('bansChanged', () => {
+    reloadSharedBans().catch(logStoreError);
+});
+
+// Events forwarded by the process a socket is connected to, for rooms this process owns
+io.on('forwardedEvent', (ownerId, { socketId, address, isAdmin, adminName, event, args }) => {
+    if (ownerId !== SERVER_ID) return;
+
+    let socket = remoteSockets[socketId];
+    if (!socket) {
+        if (event === 'disconnect') return;
+        socket = createRemoteSocket(io, { id: socketId, address, isAdmin, adminName });
+        remoteSockets[socketId] = socket;
+        registerSocketHandlers(socket);
+    }
+
+    socket.dispatch(event, args);
+    if (event === 'disconnect') delete remoteSockets[socketId];
 });
 
 // Serve static files
@@ -812,38 +2961,290 @@ app.get('/admin', (req, res) => {
     res.sendFile(path.join(__dirname, 'admin.html'));
 });
 
+// Admin login, rate limited per IP. req.ip is the client's own address once TRUST_PROXY
+// names the proxy in front of the server.
+app.post('/api/admin/login', (req, res) => {
+    if (!auth.isConfigured()) {
+        res.status(503).json({ error: 'Admin login is not configured on this server' });
+        return;
+    }
+
+    const ip = req.ip;
+    const retryAfter = auth.getLoginRetryAfter(ip);
+    if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        res.status(429).json({ error: `Too many failed attempts, try again in ${retryAfter} seconds` });
+        return;
+    }
+
+    const { username, password, apiKey } = req.body || {};
+    if (!auth.checkCredentials({ username, password, apiKey })) {
+        auth.recordFailedLogin(ip);
+        console.log('Failed admin login from:', ip);
+        res.status(401).json({ error: 'Invalid credentials' });
+        return;
+    }
+
+    auth.clearFailedLogins(ip);
+    // The name a key holder sends is not checked, so their actions are logged under the admin name
+    res.json({ token: auth.issueAdminToken(auth.ADMIN_USERNAME) });
+});
+
+// API endpoint to list the available word categories
+app.get('/api/categories', (req, res) => {
+    const categories = Object.keys(wordPacks).map(id => ({
+        id: id,
+        name: wordPacks[id].name,
+        wordCount: wordPacks[id].words.length
+    }));
+    res.json(categories);
+});
+
+// API endpoint to list the scoring presets
+app.get('/api/scoring-presets', (req, res) => {
+    res.json(scoring.listPresets());
+});
+
 // API endpoint to get active rooms
 app.get('/api/rooms', (req, res) => {
-    const activeRooms = Object.keys(rooms).map(roomId => ({
-        id: roomId,
-        players: rooms[roomId].players.length,
-        spectators: rooms[roomId].spectators.length,
-        gameStarted: rooms[roomId].gameStarted,
-        settings: rooms[roomId].settings
-    }));
-    res.json(activeRooms);
+    getPublicRoomList()
+        .then(list => res.json(list))
+        .catch(error => {
+            logStoreError(error);
+            res.status(503).json({ error: 'Room list is unavailable' });
+        });
+});
+
+// API endpoint for the all-time or recent leaderboard
+app.get('/api/leaderboard', (req, res) => {
+    const window = req.query.window || 'all';
+    if (!Object.keys(history.LEADERBOARD_WINDOWS).includes(window)) {
+        res.status(400).json({ error: `window must be one of: ${Object.keys(history.LEADERBOARD_WINDOWS).join(', ')}` });
+        return;
+    }
+
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        res.status(400).json({ error: 'limit must be a whole number between 1 and 100' });
+        return;
+    }
+
+    res.json(history.getLeaderboard(window, limit));
 });
 
-// Start server
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-    console.log(`🎨 Skribbl.io Clone server running on http://localhost:${PORT}`);
-    console.log(`📁 Admin interface: http://localhost:${PORT}/admin`);
-    console.log(`👥 Player interface: http://localhost:${PORT}/`);
+// API endpoint for the full result of one finished game
+app.get('/api/games/:id', (req, res) => {
+    const game = history.getGame(req.params.id);
+    if (!game) {
+        res.status(404).json({ error: 'Game not found' });
+        return;
+    }
+    res.json(game);
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('Shutting down server...');
-    Object.values(rooms).forEach(room => {
-        if (room.timer) {
-            clearInterval(room.timer);
+// Everything needed to bring the rooms back after a restart
+function buildSnapshot() {
+    return {
+        savedAt: new Date().toISOString(),
+        // Turn clocks are saved stopped, with the time they had left
+        rooms: Object.values(rooms)
+            .filter(room => room.players.length > 0)
+            .map(room => ({ ...serializeRoom(room), deadline: null, remainingMs: getRemainingMs(room) })),
+        sessions: Object.values(sessions)
+            .filter(session => rooms[session.roomId])
+            .map(({ token, roomId, playerId }) => ({ token, roomId, playerId }))
+    };
+}
+
+// Brings back the rooms saved at the last shutdown. Every player starts out disconnected
+// and has RESTORE_GRACE_PERIOD seconds to resume; turns wait for their drawer.
+// Spectators and admins join again as usual, so an admin pause is lifted.
+async function restoreRooms() {
+    const saved = snapshot.readSnapshot();
+    if (!saved) return;
+
+    const restoredRooms = [];
+    for (const state of saved.rooms) {
+        if (rooms[state.id] || !(await stateStore.claimRoom(state.id, SERVER_ID, ROOM_CLAIM_TTL_MS))) {
+            console.log(`Not restoring room ${state.id}, the code is in use`);
+            continue;
         }
+
+        const room = {
+            ...state,
+            spectators: [],
+            adminId: null,
+            adminPaused: false,
+            deadline: null,
+            voteKick: null,
+            timer: null,
+            wordChoiceTimer: null,
+            nextTurnTimer: null,
+            turnEndTimer: null
+        };
+        // Snapshots from before turn deadlines only kept whole seconds
+        if (room.remainingMs === undefined) room.remainingMs = (state.timeLeft || room.roundTime) * 1000;
+        rooms[room.id] = room;
+        restoredRooms.push(room);
+        room.players.forEach(player => {
+            player.disconnected = true;
+            setPlayerInfo(player.id, { roomId: room.id, username: player.username, isSpectator: false, isAdmin: false });
+        });
+
+        if (room.gameStarted) {
+            // A turn's clock starts again when its drawer resumes
+            room.paused = true;
+            if (room.choosingWord) {
+                startWordChoiceTimer(room);
+            } else if (!room.turnActive) {
+                // Saved between two turns
+                startNextTurn(room.id);
+            }
+        }
+    }
+
+    saved.sessions.filter(session => rooms[session.roomId] && players[session.playerId]).forEach(session => {
+        sessions[session.token] = { ...session, graceTimer: null };
+        holdSession(sessions[session.token], RESTORE_GRACE_PERIOD);
+        setPlayerInfo(session.playerId, { ...players[session.playerId], sessionToken: session.token });
+        saveSession(session);
+    });
+
+    // Players without a session can't resume, so their seats are given up now. A turn
+    // waiting on such a drawer moves on to the next one.
+    const resumable = new Set(Object.values(sessions).map(session => session.playerId));
+    restoredRooms.forEach(room => {
+        room.players
+            .filter(player => !resumable.has(player.id))
+            .forEach(player => handlePlayerDeparture(player.id));
+    });
+
+    scheduleRoomListUpdate();
+    console.log(`♻️  Restored ${Object.keys(rooms).length} rooms saved at ${saved.savedAt}`);
+}
+
+// Restores saved rooms and starts listening. Resolves with the port, which is picked
+// by the system when 0 is given.
+async function start(port = process.env.PORT || 3000) {
+    // Every process has to accept the admin tokens the others sign
+    if (stateStore.shared && !process.env.ADMIN_TOKEN_SECRET) {
+        throw new Error('ADMIN_TOKEN_SECRET must be set when several processes share a state store');
+    }
+    if (stateStore.shared) {
+        await reloadSharedBans();
+    }
+
+    try {
+        await restoreRooms();
+    } catch (error) {
+        console.error('Could not restore rooms:', error.message);
+    }
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, resolve);
+    });
+    const { port: actualPort } = server.address();
+
+    console.log(`🎨 Skribbl.io Clone server running on http://localhost:${actualPort}`);
+    console.log(`📁 Admin interface: http://localhost:${actualPort}/admin`);
+    console.log(`👥 Player interface: http://localhost:${actualPort}/`);
+    if (!auth.isConfigured()) {
+        console.log('⚠️  Admin login disabled: set ADMIN_PASSWORD_HASH or ADMIN_API_KEY');
+    }
+    if (chatFilter.filterWords.length > 0) {
+        console.log(`🧹 Chat filter active with ${chatFilter.filterWords.length} words`);
+    }
+    console.log(`🛡️  Moderation data in ${moderation.MODERATION_FILE} (${moderation.listBans().length} active bans)`);
+    console.log(`🏆 Game history in ${history.HISTORY_FILE} (${history.countGames()} games)`);
+    console.log(`🗄️  State store: ${process.env.STATE_STORE || 'memory'} (server id ${SERVER_ID})`);
+    roomHeartbeatTimer = setInterval(renewRoomClaims, ROOM_HEARTBEAT_MS);
+    return actualPort;
+}
+
+// Stops every timer, saves what needs saving and closes all connections
+async function stop() {
+    Object.values(rooms).forEach(stopRoomTimers);
+    Object.values(sessions).forEach(session => {
+        if (session.graceTimer) clock.clearTimeout(session.graceTimer);
     });
-    server.close(() => {
+    if (roomListUpdateTimer) clearTimeout(roomListUpdateTimer);
+    if (roomHeartbeatTimer) clearInterval(roomHeartbeatTimer);
+    moderation.flush();
+    history.flush();
+
+    // Drop this process's rooms from the store now, rather than when their claims run out
+    await Promise.all(Object.keys(rooms).map(roomId =>
+        stateStore.deleteRoom(roomId).then(() => stateStore.releaseRoom(roomId, SERVER_ID))))
+        .catch(logStoreError);
+    await stateStore.close().catch(logStoreError);
+
+    // Disconnects the remaining clients too, they reconnect on their own
+    await new Promise(resolve => io.close(() => resolve()));
+}
+
+// Graceful shutdown: warn everyone, then save the rooms so the next start can restore them
+function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`${signal} received, shutting down in ${SHUTDOWN_NOTICE_SECONDS}s`);
+
+    // Players in this process's rooms, wherever they are connected, and everyone connected here
+    const notice = { seconds: SHUTDOWN_NOTICE_SECONDS, resumeSeconds: RESTORE_GRACE_PERIOD };
+    const roomIds = Object.keys(rooms);
+    if (roomIds.length > 0) io.to(roomIds).emit('serverRestarting', notice);
+    io.local.except(roomIds).emit('serverRestarting', notice);
+
+    setTimeout(stopServer, SHUTDOWN_NOTICE_SECONDS * 1000);
+}
+
+function stopServer() {
+    console.log('Shutting down server...');
+    try {
+        const saved = buildSnapshot();
+        snapshot.writeSnapshot(saved);
+        console.log(`💾 Saved ${saved.rooms.length} rooms to ${snapshot.SNAPSHOT_FILE}`);
+    } catch (error) {
+        console.error('Could not save snapshot:', error.message);
+    }
+
+    stop().then(() => {
         console.log('Server closed');
         process.exit(0);
     });
-});
+}
+
+// Only listens when run directly, so tests can require the server and start it themselves
+if (require.main === module) {
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    start().catch(error => {
+        console.error('Could not start the server:', error.message);
+        process.exit(1);
+    });
+}
 
-module.exports = { app, server, io };
+// The game engine, driven directly by tests
+const engine = {
+    rooms,
+    players,
+    sessions,
+    createRoom,
+    addPlayerToRoom,
+    startGame,
+    chooseWord,
+    startRound,
+    endRound,
+    endGame,
+    checkGuess,
+    applyDrawingOperation,
+    buildSnapshot,
+    restoreRooms,
+    deleteRoom,
+    pauseGame,
+    resumeGame,
+    addTurnTime,
+    getTimeLeft
+};
+
+module.exports = { app, server, io, start, stop, engine };
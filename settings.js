@@ -0,0 +1,147 @@
+const scoring = require('./scoring');
+
+// Whole-number settings and the range each one accepts
+const INTEGER_BOUNDS = {
+    maxRounds: { min: 1, max: 10 },
+    roundTime: { min: 15, max: 240 },
+    totalTime: { min: 1, max: 60 },
+    maxPlayers: { min: 2, max: 12 },
+    hintInterval: { min: 0, max: 120 },
+    hintsHidden: { min: 0, max: 10 },
+    wordChoiceCount: { min: 1, max: 5 },
+    wordChoiceTime: { min: 5, max: 60 },
+    guessTolerance: { min: 0, max: 3 },
+    closeGuessDistance: { min: 0, max: 5 },
+    stealTime: { min: 0, max: 30 }
+};
+
+const MAX_HINT_FRACTIONS = 10;
+const MAX_CUSTOM_WORDS = 500;
+const MAX_CUSTOM_WORD_LENGTH = 30;
+
+// Public rooms are listed in the lobby and used by Quick Play, private ones need the code
+const VISIBILITY_OPTIONS = ['private', 'public'];
+
+// In team mode, players are either split at random when the game starts or pick a team in the lobby
+const TEAM_ASSIGNMENT_OPTIONS = ['auto', 'choose'];
+
+const DEFAULT_SETTINGS = {
+    maxRounds: 3,
+    roundTime: 60,
+    totalTime: 15,
+    maxPlayers: 8,
+    hintInterval: 0,
+    hintFractions: [0.5, 0.75],
+    hintsHidden: 2,
+    wordChoiceCount: 3,
+    wordChoiceTime: 15,
+    categories: ['general'],
+    customWords: [],
+    customWordsOnly: false,
+    guessTolerance: 0,
+    closeGuessDistance: 2,
+    scoringPreset: scoring.DEFAULT_PRESET,
+    visibility: 'private',
+    muteSpectatorsDuringTurn: false,
+    teamMode: false,
+    teamAssignment: 'auto',
+    stealTime: 10
+};
+
+function parseCustomWords(customWords) {
+    const list = Array.isArray(customWords) ? customWords : String(customWords || '').split(',');
+    return [...new Set(list
+        .filter(word => typeof word === 'string')
+        .map(word => word.trim().toLowerCase())
+        .filter(word => word.length > 0))];
+}
+
+// Checks every provided setting against its bounds and merges it over the current values.
+// Returns { settings } on success or { error } with a message for the first bad setting.
+function validateSettings(input, current = DEFAULT_SETTINGS, validCategories = []) {
+    if (input === undefined || input === null) return { settings: { ...current } };
+    if (typeof input !== 'object' || Array.isArray(input)) return { error: 'Settings must be an object' };
+
+    const settings = { ...current };
+
+    for (const key of Object.keys(INTEGER_BOUNDS)) {
+        if (input[key] === undefined) continue;
+        const { min, max } = INTEGER_BOUNDS[key];
+        if (!Number.isInteger(input[key]) || input[key] < min || input[key] > max) {
+            return { error: `${key} must be a whole number between ${min} and ${max}` };
+        }
+        settings[key] = input[key];
+    }
+
+    if (input.hintFractions !== undefined) {
+        const fractions = input.hintFractions;
+        if (!Array.isArray(fractions) || fractions.length > MAX_HINT_FRACTIONS ||
+            !fractions.every(fraction => typeof fraction === 'number' && fraction > 0 && fraction < 1)) {
+            return { error: `hintFractions must be a list of up to ${MAX_HINT_FRACTIONS} numbers between 0 and 1` };
+        }
+        settings.hintFractions = [...fractions];
+    }
+
+    if (input.categories !== undefined) {
+        if (!Array.isArray(input.categories)) return { error: 'categories must be a list' };
+        const unknown = input.categories.find(id => !validCategories.includes(id));
+        if (unknown !== undefined) return { error: `Unknown word category: ${unknown}` };
+        settings.categories = [...new Set(input.categories)];
+    }
+
+    if (input.customWords !== undefined) {
+        const customWords = parseCustomWords(input.customWords);
+        if (customWords.length > MAX_CUSTOM_WORDS) {
+            return { error: `Custom word lists are limited to ${MAX_CUSTOM_WORDS} words` };
+        }
+        if (customWords.some(word => word.length > MAX_CUSTOM_WORD_LENGTH)) {
+            return { error: `Custom words must be at most ${MAX_CUSTOM_WORD_LENGTH} characters` };
+        }
+        settings.customWords = customWords;
+    }
+
+    if (input.customWordsOnly !== undefined) {
+        if (typeof input.customWordsOnly !== 'boolean') return { error: 'customWordsOnly must be true or false' };
+        settings.customWordsOnly = input.customWordsOnly;
+    }
+
+    if (input.muteSpectatorsDuringTurn !== undefined) {
+        if (typeof input.muteSpectatorsDuringTurn !== 'boolean') return { error: 'muteSpectatorsDuringTurn must be true or false' };
+        settings.muteSpectatorsDuringTurn = input.muteSpectatorsDuringTurn;
+    }
+
+    if (input.teamMode !== undefined) {
+        if (typeof input.teamMode !== 'boolean') return { error: 'teamMode must be true or false' };
+        settings.teamMode = input.teamMode;
+    }
+
+    if (input.teamAssignment !== undefined) {
+        if (!TEAM_ASSIGNMENT_OPTIONS.includes(input.teamAssignment)) return { error: 'teamAssignment must be "auto" or "choose"' };
+        settings.teamAssignment = input.teamAssignment;
+    }
+
+    if (input.scoringPreset !== undefined) {
+        if (!scoring.isValidPreset(input.scoringPreset)) return { error: `Unknown scoring preset: ${input.scoringPreset}` };
+        settings.scoringPreset = input.scoringPreset;
+    }
+
+    if (input.visibility !== undefined) {
+        if (!VISIBILITY_OPTIONS.includes(input.visibility)) return { error: 'visibility must be "private" or "public"' };
+        settings.visibility = input.visibility;
+    }
+
+    if (settings.hintInterval >= settings.roundTime) {
+        return { error: 'hintInterval must be shorter than roundTime' };
+    }
+
+    return { settings };
+}
+
+module.exports = {
+    INTEGER_BOUNDS,
+    DEFAULT_SETTINGS,
+    VISIBILITY_OPTIONS,
+    TEAM_ASSIGNMENT_OPTIONS,
+    parseCustomWords,
+    validateSettings
+};
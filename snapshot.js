@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+// Rooms saved on shutdown and restored on the next start, so a deploy doesn't end running games:
+//   SNAPSHOT_FILE  - path to the file (default: data/snapshot.json)
+const SNAPSHOT_FILE = process.env.SNAPSHOT_FILE || path.join(__dirname, 'data', 'snapshot.json');
+
+function writeSnapshot(snapshot) {
+    writeJsonFile(SNAPSHOT_FILE, snapshot);
+}
+
+// Reads the snapshot and removes it, so the same rooms are never restored twice
+function readSnapshot() {
+    const snapshot = readJsonFile(SNAPSHOT_FILE, 'snapshot');
+    if (fs.existsSync(SNAPSHOT_FILE)) fs.unlinkSync(SNAPSHOT_FILE);
+    if (!snapshot) return null;
+
+    return {
+        savedAt: snapshot.savedAt,
+        rooms: Array.isArray(snapshot.rooms) ? snapshot.rooms : [],
+        sessions: Array.isArray(snapshot.sessions) ? snapshot.sessions : []
+    };
+}
+
+module.exports = {
+    SNAPSHOT_FILE,
+    writeSnapshot,
+    readSnapshot
+};
@@ -0,0 +1,100 @@
+// Room, player and session state shared between server processes.
+// The process that owns a room keeps the live copy and runs its timers; the store holds
+// a snapshot of it for listing, who owns it, and which room each socket and session belongs to.
+//   STATE_STORE  - "memory" (default, a single process) or "redis"
+//   REDIS_URL    - Redis-compatible server for the redis store (default: redis://localhost:6379)
+const STORE_TYPES = ['memory', 'redis'];
+
+function copy(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Everything stays in this process, so there is nothing to share and every claim succeeds
+// unless it is held by another owner id
+function createMemoryStateStore() {
+    const rooms = {};
+    const owners = {};
+    const players = {};
+    const sessions = {};
+
+    function currentOwner(roomId) {
+        const claim = owners[roomId];
+        if (!claim || claim.expiresAt <= Date.now()) return null;
+        return claim.ownerId;
+    }
+
+    return {
+        shared: false,
+
+        async saveRoom(room) {
+            rooms[room.id] = copy(room);
+        },
+        // Snapshots here never expire, so there is only something to renew if the room is saved
+        async touchRoom(roomId) {
+            return Boolean(rooms[roomId]);
+        },
+        async getRoom(roomId) {
+            return rooms[roomId] ? copy(rooms[roomId]) : null;
+        },
+        async listRooms() {
+            return Object.values(rooms).map(copy);
+        },
+        async deleteRoom(roomId) {
+            delete rooms[roomId];
+        },
+
+        async claimRoom(roomId, ownerId, ttlMs) {
+            const owner = currentOwner(roomId);
+            if (owner !== null && owner !== ownerId) return false;
+            owners[roomId] = { ownerId, expiresAt: Date.now() + ttlMs };
+            return true;
+        },
+        async releaseRoom(roomId, ownerId) {
+            if (currentOwner(roomId) === ownerId) delete owners[roomId];
+        },
+        async getRoomOwner(roomId) {
+            return currentOwner(roomId);
+        },
+
+        async savePlayer(socketId, info) {
+            players[socketId] = copy(info);
+        },
+        async getPlayer(socketId) {
+            return players[socketId] ? copy(players[socketId]) : null;
+        },
+        async deletePlayer(socketId) {
+            delete players[socketId];
+        },
+
+        async saveSession(token, session) {
+            sessions[token] = copy(session);
+        },
+        async getSession(token) {
+            return sessions[token] ? copy(sessions[token]) : null;
+        },
+        async deleteSession(token) {
+            delete sessions[token];
+        },
+
+        async close() {}
+    };
+}
+
+function createStateStore() {
+    const type = process.env.STATE_STORE || 'memory';
+    if (!STORE_TYPES.includes(type)) {
+        throw new Error(`STATE_STORE must be one of: ${STORE_TYPES.join(', ')}`);
+    }
+
+    if (type === 'redis') {
+        // Only loaded when asked for, a single process doesn't need a Redis client
+        const { createRedisStateStore } = require('./redisStateStore');
+        return createRedisStateStore(process.env.REDIS_URL || 'redis://localhost:6379');
+    }
+    return createMemoryStateStore();
+}
+
+module.exports = {
+    createStateStore,
+    createMemoryStateStore
+};
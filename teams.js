@@ -0,0 +1,90 @@
+// Team mode: players are split into two teams that take turns drawing
+const TEAMS = [
+    { id: 'red', name: 'Red Team' },
+    { id: 'blue', name: 'Blue Team' }
+];
+const TEAM_IDS = TEAMS.map(team => team.id);
+
+function isValidTeam(teamId) {
+    return TEAM_IDS.includes(teamId);
+}
+
+function getMembers(players, teamId) {
+    return players.filter(player => player.team === teamId);
+}
+
+function getOpposingTeam(teamId) {
+    return TEAM_IDS.find(id => id !== teamId);
+}
+
+// The team with the fewest players, the first one on a tie
+function getSmallestTeam(players) {
+    return TEAM_IDS.reduce((smallest, id) =>
+        getMembers(players, id).length < getMembers(players, smallest).length ? id : smallest);
+}
+
+function assignMissingTeams(players) {
+    players.filter(player => !isValidTeam(player.team)).forEach(player => {
+        player.team = getSmallestTeam(players);
+    });
+}
+
+// Random, even split for rooms that assign teams automatically
+function shuffleTeams(players) {
+    const shuffled = [...players];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    shuffled.forEach((player, index) => {
+        player.team = TEAM_IDS[index % TEAM_IDS.length];
+    });
+}
+
+function clearTeams(players) {
+    players.forEach(player => {
+        delete player.team;
+    });
+}
+
+// Turn order for one round, alternating between teams. Members of a smaller team
+// draw more than once so both teams get the same number of turns.
+function buildDrawOrder(players) {
+    const members = TEAM_IDS
+        .map(id => getMembers(players, id).map(player => player.id))
+        .filter(ids => ids.length > 0);
+    const turnsPerTeam = Math.max(0, ...members.map(ids => ids.length));
+
+    const order = [];
+    for (let i = 0; i < turnsPerTeam; i++) {
+        members.forEach(ids => order.push(ids[i % ids.length]));
+    }
+    return order;
+}
+
+function getTeamScores(players) {
+    return TEAMS.map(team => ({
+        id: team.id,
+        name: team.name,
+        score: getMembers(players, team.id).reduce((total, player) => total + player.score, 0)
+    }));
+}
+
+// The team with the most points, or null on a tie
+function getWinningTeam(players) {
+    const scores = getTeamScores(players).sort((a, b) => b.score - a.score);
+    return scores[0].score > scores[1].score ? scores[0] : null;
+}
+
+module.exports = {
+    TEAMS,
+    isValidTeam,
+    getMembers,
+    getOpposingTeam,
+    assignMissingTeams,
+    shuffleTeams,
+    clearTeams,
+    buildDrawOrder,
+    getTeamScores,
+    getWinningTeam
+};
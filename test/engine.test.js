@@ -0,0 +1,303 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { engine, useFakeClock, stopServer } = require('./helpers/harness');
+const gameSettings = require('../settings');
+const scoring = require('../scoring');
+const history = require('../history');
+const snapshot = require('../snapshot');
+
+// The engine on its own: rooms are driven through its functions and the fake clock, with no sockets
+let clock;
+let roomCount = 0;
+
+// A room with the given players, the first one hosting, playing a single known word
+function setUpGame(names, settings = {}) {
+    const roomId = `ENGINE${++roomCount}`;
+    const ids = names.map(name => `${roomId}-${name}`);
+    engine.createRoom(roomId, ids[0], names[0], {
+        ...gameSettings.DEFAULT_SETTINGS,
+        customWords: ['elephant'],
+        customWordsOnly: true,
+        wordChoiceCount: 1,
+        ...settings
+    });
+    ids.slice(1).forEach((id, index) => engine.addPlayerToRoom(roomId, id, names[index + 1]));
+    return { room: engine.rooms[roomId], ids };
+}
+
+function startTurn(room) {
+    if (!room.gameStarted) assert.ok(engine.startGame(room.id));
+    assert.ok(engine.chooseWord(room.id, room.currentDrawer, room.wordChoices[0]));
+}
+
+// Sessions like the ones sockets get on joining, so the players can resume after a restore
+function giveSessions(room, ids) {
+    ids.forEach(id => {
+        const token = `token-${id}`;
+        engine.sessions[token] = { token, roomId: room.id, playerId: id, graceTimer: null };
+    });
+}
+
+function guessers(room, ids) {
+    return ids.filter(id => id !== room.currentDrawer);
+}
+
+function findPlayer(room, id) {
+    return room.players.find(player => player.id === id);
+}
+
+describe('game engine', () => {
+    before(() => {
+        clock = useFakeClock();
+    });
+
+    after(stopServer);
+
+    it('offers the drawer words and picks one when they run out of time', () => {
+        const { room, ids } = setUpGame(['ann', 'ben']);
+        assert.ok(engine.startGame(room.id));
+
+        assert.ok(ids.includes(room.currentDrawer));
+        assert.strictEqual(room.choosingWord, true);
+        assert.deepStrictEqual(room.wordChoices, ['elephant']);
+
+        clock.tick(room.settings.wordChoiceTime * 1000);
+        assert.strictEqual(room.choosingWord, false);
+        assert.strictEqual(room.currentWord, 'elephant');
+        assert.strictEqual(engine.getTimeLeft(room), room.roundTime);
+    });
+
+    it('counts the turn down, ends it when time runs out and moves to the next drawer', () => {
+        const { room } = setUpGame(['ann', 'ben'], { roundTime: 30 });
+        startTurn(room);
+        const firstDrawer = room.currentDrawer;
+
+        clock.tick(10000);
+        assert.strictEqual(engine.getTimeLeft(room), 20);
+
+        clock.tick(20000);
+        assert.strictEqual(room.turnActive, false);
+        assert.strictEqual(room.turnHistory.length, 1);
+        assert.ok(room.turnHistory[0].scores.every(score => score.points === 0));
+
+        // A short break, then the next turn
+        clock.tick(3000);
+        assert.strictEqual(room.choosingWord, true);
+        assert.notStrictEqual(room.currentDrawer, firstDrawer);
+    });
+
+    it('scores faster and earlier guesses higher', () => {
+        const { room, ids } = setUpGame(['ann', 'ben', 'cat'], { roundTime: 60 });
+        startTurn(room);
+        const [first, second] = guessers(room, ids);
+
+        clock.tick(5000);
+        assert.strictEqual(engine.checkGuess(room.id, first, 'Elephant'), 'correct');
+        clock.tick(10000);
+        assert.strictEqual(engine.checkGuess(room.id, second, 'elephant'), 'correct');
+
+        assert.strictEqual(findPlayer(room, first).score, scoring.calculateGuesserScore('classic', 55, 60, 1).total);
+        assert.strictEqual(findPlayer(room, second).score, scoring.calculateGuesserScore('classic', 45, 60, 2).total);
+        assert.ok(findPlayer(room, first).score > findPlayer(room, second).score);
+    });
+
+    it('tells close guesses apart and never lets the drawer or a repeat score', () => {
+        const { room, ids } = setUpGame(['ann', 'ben', 'cat']);
+        startTurn(room);
+        const [guesser] = guessers(room, ids);
+
+        assert.strictEqual(engine.checkGuess(room.id, guesser, 'elefant'), 'close');
+        assert.strictEqual(engine.checkGuess(room.id, guesser, 'giraffe'), 'wrong');
+        assert.strictEqual(engine.checkGuess(room.id, room.currentDrawer, 'elephant'), 'wrong');
+        assert.strictEqual(findPlayer(room, room.currentDrawer).score, 0);
+
+        assert.strictEqual(engine.checkGuess(room.id, guesser, 'elephant'), 'correct');
+        const score = findPlayer(room, guesser).score;
+        assert.strictEqual(engine.checkGuess(room.id, guesser, 'elephant'), 'wrong');
+        assert.strictEqual(findPlayer(room, guesser).score, score);
+    });
+
+    it('ends the turn a second after everyone has guessed and pays the drawer', () => {
+        const { room, ids } = setUpGame(['ann', 'ben', 'cat']);
+        startTurn(room);
+        guessers(room, ids).forEach(id => engine.checkGuess(room.id, id, 'elephant'));
+
+        assert.strictEqual(room.turnActive, true);
+        clock.tick(1000);
+        assert.strictEqual(room.turnActive, false);
+        assert.strictEqual(findPlayer(room, room.currentDrawer).score, scoring.calculateDrawerScore('classic', 2, 2));
+    });
+
+    it('holds the end of a fully guessed turn through a pause and never carries it into a new game', () => {
+        const { room, ids } = setUpGame(['ann', 'ben']);
+        startTurn(room);
+        guessers(room, ids).forEach(id => engine.checkGuess(room.id, id, 'elephant'));
+
+        engine.pauseGame(room.id);
+        clock.tick(5000);
+        assert.strictEqual(room.turnActive, true);
+        engine.resumeGame(room.id);
+        clock.tick(1000);
+        assert.strictEqual(room.turnActive, false);
+
+        clock.tick(3000);
+        startTurn(room);
+        guessers(room, ids).forEach(id => engine.checkGuess(room.id, id, 'elephant'));
+        engine.endGame(room.id);
+        assert.ok(engine.startGame(room.id));
+        startTurn(room);
+        clock.tick(1000);
+        assert.strictEqual(room.turnActive, true);
+    });
+
+    it('stops the clock and holds guesses while the game is paused', () => {
+        const { room, ids } = setUpGame(['ann', 'ben'], { roundTime: 30 });
+        startTurn(room);
+        const [guesser] = guessers(room, ids);
+
+        clock.tick(5500);
+        assert.ok(engine.pauseGame(room.id));
+        assert.strictEqual(room.deadline, null);
+        clock.tick(60000);
+        assert.strictEqual(room.turnActive, true);
+        assert.strictEqual(engine.getTimeLeft(room), 25);
+        assert.strictEqual(engine.checkGuess(room.id, guesser, 'elephant'), 'paused');
+
+        // The half second that was left on the clock carries over
+        assert.ok(engine.resumeGame(room.id));
+        assert.strictEqual(room.deadline, clock.now() + 24500);
+        clock.tick(24499);
+        assert.strictEqual(room.turnActive, true);
+        clock.tick(1);
+        assert.strictEqual(room.turnActive, false);
+    });
+
+    it('adds time to the turn in progress, paused or not', () => {
+        const { room } = setUpGame(['ann', 'ben'], { roundTime: 30 });
+        assert.strictEqual(engine.addTurnTime(room.id, 10), false);
+        startTurn(room);
+
+        clock.tick(20000);
+        assert.ok(engine.addTurnTime(room.id, 15));
+        assert.strictEqual(engine.getTimeLeft(room), 25);
+
+        engine.pauseGame(room.id);
+        assert.ok(engine.addTurnTime(room.id, 5));
+        engine.resumeGame(room.id);
+        clock.tick(29000);
+        assert.strictEqual(room.turnActive, true);
+        clock.tick(1000);
+        assert.strictEqual(room.turnActive, false);
+    });
+
+    it('finishes after the last round and saves the game', () => {
+        const { room, ids } = setUpGame(['ann', 'ben'], { maxRounds: 1 });
+        const gamesBefore = history.countGames();
+        engine.startGame(room.id);
+
+        for (let turn = 1; turn <= 2; turn++) {
+            startTurn(room);
+            assert.strictEqual(room.turn, turn);
+            engine.checkGuess(room.id, guessers(room, ids)[0], 'elephant');
+            clock.tick(1000);
+            clock.tick(3000);
+        }
+
+        assert.strictEqual(room.gameStarted, false);
+        assert.strictEqual(history.countGames(), gamesBefore + 1);
+        assert.ok(ids.every(id => findPlayer(room, id).score > 0));
+    });
+
+    it('does not carry the break between turns over into a new game', () => {
+        const { room } = setUpGame(['ann', 'ben']);
+        startTurn(room);
+        engine.endRound(room.id);
+        engine.endGame(room.id);
+
+        assert.ok(engine.startGame(room.id));
+        const firstDrawer = room.currentDrawer;
+        clock.tick(3000);
+        assert.strictEqual(room.turn, 1);
+        assert.strictEqual(room.currentDrawer, firstDrawer);
+        assert.strictEqual(room.wordChoiceTimeLeft, room.settings.wordChoiceTime - 3);
+    });
+
+    it('restores a game saved between turns and holds the next turn for its drawer', async () => {
+        const { room, ids } = setUpGame(['ann', 'ben', 'cat']);
+        startTurn(room);
+        guessers(room, ids).forEach(id => engine.checkGuess(room.id, id, 'elephant'));
+        clock.tick(1000);
+        assert.strictEqual(room.turnActive, false);
+        const nextDrawer = room.turnQueue[0];
+        const gamesBefore = history.countGames();
+        giveSessions(room, ids);
+
+        // A restart in the break: the room goes away and comes back from the snapshot
+        snapshot.writeSnapshot(engine.buildSnapshot());
+        engine.deleteRoom(room.id);
+        await engine.restoreRooms();
+
+        const restored = engine.rooms[room.id];
+        assert.strictEqual(restored.gameStarted, true);
+        assert.strictEqual(restored.currentDrawer, nextDrawer);
+        assert.strictEqual(restored.choosingWord, true);
+        assert.strictEqual(restored.paused, true);
+
+        clock.tick(restored.settings.wordChoiceTime * 1000);
+        assert.strictEqual(restored.choosingWord, true);
+        assert.strictEqual(history.countGames(), gamesBefore);
+    });
+
+    it('moves past a restored drawer who has no session and saves no turn for them', async () => {
+        const { room, ids } = setUpGame(['ann', 'ben', 'cat']);
+        startTurn(room);
+        engine.endRound(room.id);
+        clock.tick(3000);
+        const drawer = room.currentDrawer;
+        assert.strictEqual(room.choosingWord, true);
+        giveSessions(room, ids.filter(id => id !== drawer));
+
+        snapshot.writeSnapshot(engine.buildSnapshot());
+        engine.deleteRoom(room.id);
+        await engine.restoreRooms();
+
+        const restored = engine.rooms[room.id];
+        assert.ok(restored.players.every(player => player.id !== drawer));
+        assert.strictEqual(restored.turnHistory.length, 1);
+        assert.strictEqual(restored.turnActive, false);
+
+        clock.tick(3000);
+        assert.strictEqual(restored.choosingWord, true);
+        assert.ok(ids.includes(restored.currentDrawer) && restored.currentDrawer !== drawer);
+        assert.strictEqual(restored.paused, true);
+    });
+
+    it('caps the stroke points kept on the canvas in a turn', () => {
+        const { room } = setUpGame(['ann', 'ben']);
+        startTurn(room);
+        const stroke = () => ({
+            type: 'stroke', tool: 'brush', color: '#000000', size: 10,
+            points: Array.from({ length: 4000 }, () => [0, 0])
+        });
+
+        for (let count = 0; count < 25; count++) {
+            assert.strictEqual(engine.applyDrawingOperation(room, stroke()), null);
+        }
+        assert.match(engine.applyDrawingOperation(room, { type: 'strokeAppend', points: [[1, 1]] }), /canvas is full/);
+        assert.match(engine.applyDrawingOperation(room, stroke()), /canvas is full/);
+
+        // An undone stroke frees its points once something new replaces it
+        assert.strictEqual(engine.applyDrawingOperation(room, { type: 'undo' }), null);
+        assert.strictEqual(engine.applyDrawingOperation(room, stroke()), null);
+    });
+
+    it('ends a turn early through endRound', () => {
+        const { room } = setUpGame(['ann', 'ben']);
+        startTurn(room);
+
+        engine.endRound(room.id);
+        assert.strictEqual(room.turnActive, false);
+        assert.strictEqual(room.turnHistory.length, 1);
+        assert.strictEqual(room.turnHistory[0].word, 'elephant');
+    });
+});
@@ -0,0 +1,387 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const auth = require('../auth');
+const drawing = require('../drawing');
+const {
+    server, engine, useFakeClock, startServer, stopServer, connectClient, waitUntil, loginAdmin, setUpRoom
+} = require('./helpers/harness');
+
+// Whole games over real socket.io connections, with the game timers on the fake clock
+const WORD_SETTINGS = { customWords: 'elephant', customWordsOnly: true, wordChoiceCount: 1 };
+
+let url;
+let clock;
+let openClients = [];
+
+function track(clients) {
+    openClients.push(...clients);
+    return clients;
+}
+
+function byId(clients, id) {
+    return clients.find(client => client.id === id);
+}
+
+// Starts the game and waits until every client sees the first turn begin
+async function startFirstTurn(roomId, clients) {
+    clients[0].emit('startGame');
+    await waitUntil(() => engine.rooms[roomId].gameStarted);
+    return playTurnStart(roomId, clients);
+}
+
+// The drawer takes the offered word; resolves with the drawer once everyone has the turn's start
+async function playTurnStart(roomId, clients) {
+    const drawer = byId(clients, engine.rooms[roomId].currentDrawer);
+    const { choices } = await drawer.waitFor('wordChoices');
+    drawer.emit('chooseWord', choices[0]);
+    await Promise.all(clients.map(client => client.waitFor('roundStart')));
+    return drawer;
+}
+
+describe('socket games', () => {
+    before(async () => {
+        clock = useFakeClock();
+        url = await startServer();
+    });
+
+    afterEach(() => {
+        openClients.forEach(client => client.close());
+        openClients = [];
+    });
+
+    after(stopServer);
+
+    it('plays a full game where everyone guesses every turn', async () => {
+        const names = ['ann', 'ben', 'cat'];
+        const { roomId, clients } = await setUpRoom(url, names, { ...WORD_SETTINGS, maxRounds: 1 });
+        track(clients);
+        const [host] = clients;
+
+        let drawer = await startFirstTurn(roomId, clients);
+        for (let turn = 1; turn <= names.length; turn++) {
+            for (const guesser of clients.filter(client => client !== drawer)) {
+                guesser.emit('chatMessage', 'elephant');
+                await host.waitFor('correctGuess', data => data.player === names[clients.indexOf(guesser)]);
+            }
+
+            // The turn ends a second after the last guess instead of waiting out the timer
+            clock.tick(1000);
+            const roundEnd = await host.waitFor('roundEnd');
+            assert.strictEqual(roundEnd.turn, turn);
+            assert.strictEqual(roundEnd.word, 'elephant');
+            assert.ok(roundEnd.scoreBreakdown.every(entry => entry.points > 0));
+
+            if (turn < names.length) {
+                clock.tick(3000);
+                drawer = await playTurnStart(roomId, clients);
+            }
+        }
+
+        const gameEnd = await host.waitFor('gameEnd');
+        assert.deepStrictEqual(gameEnd.finalScores.map(player => player.username).sort(), names);
+        assert.ok(gameEnd.gameId);
+
+        const response = await fetch(`${url}/api/games/${gameEnd.gameId}`);
+        assert.strictEqual(response.status, 200);
+        const game = await response.json();
+        assert.strictEqual(game.turns.length, names.length);
+    });
+
+    it('ends a turn when its time runs out without a correct guess', async () => {
+        const { roomId, clients } = await setUpRoom(url, ['ann', 'ben'], { ...WORD_SETTINGS, roundTime: 20 });
+        track(clients);
+        const [host] = clients;
+
+        await startFirstTurn(roomId, clients);
+        clock.tick(19000);
+        assert.strictEqual(engine.rooms[roomId].turnActive, true);
+
+        clock.tick(1000);
+        const roundEnd = await host.waitFor('roundEnd');
+        assert.ok(roundEnd.scoreBreakdown.every(entry => entry.points === 0));
+    });
+
+    it('pauses the turn when the drawer drops and resumes it with their session token', async () => {
+        const { roomId, clients } = await setUpRoom(url, ['ann', 'ben', 'cat'], WORD_SETTINGS);
+        track(clients);
+        const tokens = await Promise.all(clients.map(client => client.waitFor('sessionToken')));
+
+        const drawer = await startFirstTurn(roomId, clients);
+        const others = clients.filter(client => client !== drawer);
+        const room = engine.rooms[roomId];
+
+        clock.tick(5000);
+        const timeLeft = engine.getTimeLeft(room);
+        drawer.close();
+        await Promise.all(others.map(client => client.waitFor('turnPaused')));
+
+        // The clock stands still while the drawer is away
+        clock.tick(10000);
+        assert.strictEqual(engine.getTimeLeft(room), timeLeft);
+
+        const returning = track([connectClient(url)])[0];
+        await returning.connected();
+        returning.emit('resumeSession', tokens[clients.indexOf(drawer)]);
+        const resumed = await returning.waitFor('sessionResumed');
+        assert.strictEqual(resumed.roomId, roomId);
+        await Promise.all(others.map(client => client.waitFor('turnResumed')));
+
+        assert.strictEqual(room.currentDrawer, returning.id);
+        clock.tick(1000);
+        assert.strictEqual(engine.getTimeLeft(room), timeLeft - 1);
+    });
+
+    it('gives up the seat of a drawer who does not come back and carries on', async () => {
+        const { roomId, clients } = await setUpRoom(url, ['ann', 'ben', 'cat'], WORD_SETTINGS);
+        track(clients);
+
+        const drawer = await startFirstTurn(roomId, clients);
+        const others = clients.filter(client => client !== drawer);
+        drawer.close();
+        const { graceSeconds } = await others[0].waitFor('playerDisconnected');
+
+        clock.tick(graceSeconds * 1000);
+        await others[0].waitFor('roundEnd');
+        const players = await others[0].waitFor('playersUpdate', list => list.length === 2);
+        assert.ok(players.every(player => player.id !== drawer.id));
+
+        clock.tick(3000);
+        await playTurnStart(roomId, others);
+    });
+
+    it('lets an admin kick the drawer mid-turn', async () => {
+        const { roomId, clients } = await setUpRoom(url, ['ann', 'ben', 'cat'], WORD_SETTINGS);
+        track(clients);
+
+        const admin = track([connectClient(url, { auth: { adminToken: await loginAdmin(url) } })])[0];
+        admin.emit('joinRoom', { roomId, username: 'moderator', isSpectator: true, isAdmin: true });
+        await admin.waitFor('adminStatusUpdate');
+
+        const drawer = await startFirstTurn(roomId, clients);
+        const [watcher] = clients.filter(client => client !== drawer);
+        admin.emit('adminKickPlayer', { playerId: drawer.id, reason: 'testing' });
+
+        assert.match(await drawer.waitFor('kicked'), /kicked by an admin/);
+        assert.match(await admin.waitFor('adminActionSuccess'), /kicked successfully/);
+        await watcher.waitFor('roundEnd');
+        const players = await watcher.waitFor('playersUpdate', list => list.length === 2);
+        assert.ok(players.every(player => player.id !== drawer.id));
+    });
+
+    it('sends the deadline and lets an admin pause, resume and extend the turn', async () => {
+        const { roomId, clients } = await setUpRoom(url, ['ann', 'ben'], { ...WORD_SETTINGS, roundTime: 30 });
+        track(clients);
+
+        const admin = track([connectClient(url, { auth: { adminToken: await loginAdmin(url) } })])[0];
+        admin.emit('joinRoom', { roomId, username: 'moderator', isSpectator: true, isAdmin: true });
+        await admin.waitFor('adminStatusUpdate');
+
+        admin.emit('syncClock');
+        assert.strictEqual((await admin.waitFor('clockSync')).serverTime, clock.now());
+
+        const drawer = await startFirstTurn(roomId, clients);
+        const [guesser] = clients.filter(client => client !== drawer);
+        const roundStart = guesser.received('roundStart')[0];
+        assert.strictEqual(roundStart.deadline, clock.now() + 30000);
+        assert.strictEqual(roundStart.paused, false);
+
+        clock.tick(10000);
+        admin.emit('adminPauseGame');
+        await guesser.waitFor('gamePaused');
+        const paused = await guesser.waitFor('turnTimer');
+        assert.deepStrictEqual(paused, { deadline: null, timeLeft: 20, paused: true });
+
+        // Nothing moves while paused: no drawing, no guessing
+        drawer.emit('clearCanvas');
+        assert.strictEqual(await drawer.waitFor('drawingError'), 'The game is paused');
+        guesser.emit('chatMessage', 'elephant');
+        assert.match((await guesser.waitFor('chatBlocked')).reason, /paused/);
+        admin.emit('adminPauseGame');
+        assert.match(await admin.waitFor('adminError'), /already paused/);
+
+        admin.emit('adminAddTime', 15);
+        assert.strictEqual((await guesser.waitFor('turnTimer')).timeLeft, 35);
+        admin.emit('adminAddTime', 0);
+        assert.match(await admin.waitFor('adminError'), /between 1 and/);
+
+        admin.emit('adminResumeGame');
+        await guesser.waitFor('gameResumed');
+        const resumed = await guesser.waitFor('turnTimer');
+        assert.strictEqual(resumed.deadline, clock.now() + 35000);
+
+        guesser.emit('chatMessage', 'elephant');
+        await guesser.waitFor('correctGuess');
+    });
+
+    it('keeps points after a dropped stroke off the stroke before it and resyncs the drawer', async () => {
+        const { roomId, clients } = await setUpRoom(url, ['ann', 'ben'], WORD_SETTINGS);
+        track(clients);
+        const drawer = await startFirstTurn(roomId, clients);
+        const [guesser] = clients.filter(client => client !== drawer);
+        const send = operation => drawer.emit('drawingData', { v: drawing.PROTOCOL_VERSION, ...operation });
+
+        send({ type: 'stroke', tool: 'brush', color: '#000000', size: 20, points: [10, 10] });
+        await guesser.waitFor('drawingData');
+        send({ type: 'stroke', tool: 'brush', color: 'red', size: 20, points: [50, 50] });
+        assert.match(await drawer.waitFor('drawingError'), /Colors/);
+        send({ type: 'strokeAppend', points: [10, 10] });
+        send({ type: 'fill', color: '#ff0000', x: 500, y: 500 });
+
+        // The points were dropped, so the next thing the others see is the fill
+        assert.strictEqual((await guesser.waitFor('drawingData')).type, 'fill');
+        clock.tick(250);
+        const { operations } = await drawer.waitFor('canvasState');
+        assert.deepStrictEqual(operations.map(operation => operation.type), ['stroke', 'fill']);
+        assert.strictEqual(engine.rooms[roomId].strokeLog[0].points.length, 1);
+    });
+
+    it('ignores drawing and clearing the canvas once the turn is over', async () => {
+        const { roomId, clients } = await setUpRoom(url, ['ann', 'ben'], { ...WORD_SETTINGS, roundTime: 20 });
+        track(clients);
+        const drawer = await startFirstTurn(roomId, clients);
+        const [guesser] = clients.filter(client => client !== drawer);
+        const fill = { v: drawing.PROTOCOL_VERSION, type: 'fill', color: '#ff0000', x: 500, y: 500 };
+
+        drawer.emit('drawingData', fill);
+        await guesser.waitFor('drawingData');
+        clock.tick(20000);
+        await drawer.waitFor('roundEnd');
+
+        drawer.emit('drawingData', fill);
+        drawer.emit('clearCanvas');
+        // Events from one socket are handled in order, so the reply means both were seen
+        drawer.emit('syncClock');
+        await drawer.waitFor('clockSync');
+        assert.strictEqual(engine.rooms[roomId].strokeLog.length, 1);
+        assert.strictEqual(guesser.received('drawingData').length, 1);
+        assert.strictEqual(guesser.received('clearCanvas').length, 0);
+    });
+
+    it('stops the drawer giving the word away without blocking ordinary chat', async () => {
+        const { roomId, clients } = await setUpRoom(url, ['ann', 'ben'], { ...WORD_SETTINGS, customWords: 'cat' });
+        track(clients);
+        const drawer = await startFirstTurn(roomId, clients);
+        const [guesser] = clients.filter(client => client !== drawer);
+
+        for (const message of ['c a t', 'the CATS!']) {
+            drawer.emit('chatMessage', message);
+            assert.match((await drawer.waitFor('chatBlocked')).reason, /gives away the word/);
+        }
+        for (const message of ['look at the top', 'its a category']) {
+            drawer.emit('chatMessage', message);
+            await guesser.waitFor('chatMessage', chat => chat.message === message);
+        }
+    });
+
+    it('keeps a voted-out player out by name without barring others on the same address', async () => {
+        // Every test client connects from the same address, like players behind one NAT
+        const { roomId, clients } = await setUpRoom(url, ['ann', 'ben', 'cat'], WORD_SETTINGS);
+        const [ann, ben, cat] = track(clients);
+
+        ann.emit('startVoteKick', cat.id);
+        await ben.waitFor('voteKickStarted');
+        ben.emit('castVote', true);
+        assert.match(await cat.waitFor('kicked'), /voted out/);
+
+        const [returning, newcomer] = track([connectClient(url), connectClient(url)]);
+        returning.emit('joinRoom', { roomId, username: 'cat' });
+        assert.match(await returning.waitFor('joinError'), /voted out of this room/);
+        newcomer.emit('joinRoom', { roomId, username: 'dan' });
+        await newcomer.waitFor('roomJoined');
+    });
+
+    it('bans the address a trusted proxy forwards rather than the proxy itself', async () => {
+        server.app.set('trust proxy', 'loopback');
+        const behindProxy = address => connectClient(url, { extraHeaders: { 'X-Forwarded-For': address } });
+        try {
+            const [host, target] = track([behindProxy('203.0.113.1'), behindProxy('203.0.113.2')]);
+            host.emit('createRoom', { username: 'ann', settings: WORD_SETTINGS });
+            const roomId = await host.waitFor('roomCreated');
+            target.emit('joinRoom', { roomId, username: 'eve' });
+            await target.waitFor('roomJoined');
+
+            const admin = track([connectClient(url, { auth: { adminToken: await loginAdmin(url) } })])[0];
+            admin.emit('joinRoom', { roomId, username: 'moderator', isSpectator: true, isAdmin: true });
+            await admin.waitFor('adminStatusUpdate');
+            admin.emit('adminBanPlayer', { playerId: target.id, duration: 60 });
+            assert.match(await target.waitFor('kicked'), /banned/);
+
+            const [sameAddress, otherAddress] = track([behindProxy('203.0.113.2'), behindProxy('203.0.113.3')]);
+            sameAddress.emit('joinRoom', { roomId, username: 'eve2' });
+            assert.match(await sameAddress.waitFor('joinError'), /banned/);
+            otherAddress.emit('joinRoom', { roomId, username: 'fay' });
+            await otherAddress.waitFor('roomJoined');
+        } finally {
+            server.app.set('trust proxy', false);
+        }
+    });
+
+    it('limits failed admin logins per forwarded address', async () => {
+        server.app.set('trust proxy', 'loopback');
+        const login = (address, apiKey) => fetch(`${url}/api/admin/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': address },
+            body: JSON.stringify({ apiKey, username: '<b>someone</b>' })
+        });
+        try {
+            for (let attempt = 0; attempt < 5; attempt++) {
+                assert.strictEqual((await login('198.51.100.1', 'wrong')).status, 401);
+            }
+            assert.strictEqual((await login('198.51.100.1', process.env.ADMIN_API_KEY)).status, 429);
+
+            const response = await login('198.51.100.2', process.env.ADMIN_API_KEY);
+            assert.strictEqual(response.status, 200);
+            const { token } = await response.json();
+            assert.strictEqual(auth.verifyAdminToken(token).sub, auth.ADMIN_USERNAME);
+        } finally {
+            server.app.set('trust proxy', false);
+        }
+    });
+
+    it('puts a chat flooder on a cooldown that runs out with the clock', async () => {
+        const { clients } = await setUpRoom(url, ['ann', 'ben'], WORD_SETTINGS);
+        const [flooder, reader] = track(clients);
+
+        for (let message = 1; message <= 5; message++) flooder.emit('chatMessage', `hi ${message}`);
+        await reader.waitFor('chatMessage', chat => chat.message === 'hi 5');
+        flooder.emit('chatMessage', 'hi 6');
+        assert.match((await flooder.waitFor('chatBlocked')).reason, /wait 10s/);
+
+        clock.tick(9000);
+        flooder.emit('chatMessage', 'hi 7');
+        assert.match((await flooder.waitFor('chatBlocked')).reason, /wait 1s/);
+
+        clock.tick(1000);
+        flooder.emit('chatMessage', 'hi 8');
+        await reader.waitFor('chatMessage', chat => chat.message === 'hi 8');
+    });
+
+    it('refuses admin actions from players', async () => {
+        const { clients } = await setUpRoom(url, ['ann', 'ben'], WORD_SETTINGS);
+        track(clients);
+        const [host, guest] = clients;
+
+        host.emit('adminKickPlayer', { playerId: guest.id });
+        assert.strictEqual(await host.waitFor('adminError'), 'Not authorized');
+    });
+
+    it('rejects bad payloads and usernames that are taken', async () => {
+        const { roomId, clients } = await setUpRoom(url, ['ann'], WORD_SETTINGS);
+        const visitor = connectClient(url);
+        track([...clients, visitor]);
+
+        visitor.emit('joinRoom', { roomId, username: '<b>ann</b>' });
+        assert.match(await visitor.waitFor('joinError'), /can only contain/);
+
+        visitor.emit('joinRoom', { roomId, username: 'ANN' });
+        assert.match(await visitor.waitFor('joinError'), /already taken/);
+
+        visitor.emit('joinRoom', 'not an object');
+        assert.match(await visitor.waitFor('joinError'), /must be an object/);
+
+        visitor.emit('joinRoom', { roomId: roomId.toLowerCase(), username: ' Ann  Two ' });
+        await visitor.waitFor('roomJoined');
+        const players = await visitor.waitFor('playersUpdate', list => list.length === 2);
+        assert.ok(players.some(player => player.username === 'Ann Two'));
+    });
+});
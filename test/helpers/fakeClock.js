@@ -0,0 +1,53 @@
+// A clock that only moves when told to. Timers fire in order as tick() passes their due time,
+// so a 60 second turn plays out instantly.
+function createFakeClock(start = Date.now()) {
+    let now = start;
+    let nextId = 1;
+    const timers = new Map();
+
+    function schedule(callback, ms, repeat) {
+        const id = nextId++;
+        const delay = Math.max(0, ms || 0);
+        timers.set(id, { at: now + delay, callback, interval: repeat ? Math.max(1, delay) : null });
+        return id;
+    }
+
+    function nextDue(until) {
+        let due = null;
+        for (const [id, timer] of timers) {
+            if (timer.at <= until && (!due || timer.at < due.timer.at)) due = { id, timer };
+        }
+        return due;
+    }
+
+    return {
+        now: () => now,
+        setTimeout: (callback, ms) => schedule(callback, ms, false),
+        setInterval: (callback, ms) => schedule(callback, ms, true),
+        clearTimeout: id => timers.delete(id),
+        clearInterval: id => timers.delete(id),
+
+        // Moves time forward by ms, running every timer that falls due on the way
+        tick(ms) {
+            const until = now + ms;
+            let due = nextDue(until);
+            while (due) {
+                now = due.timer.at;
+                if (due.timer.interval) {
+                    due.timer.at += due.timer.interval;
+                } else {
+                    timers.delete(due.id);
+                }
+                due.timer.callback();
+                due = nextDue(until);
+            }
+            now = until;
+        },
+
+        pendingTimers: () => timers.size
+    };
+}
+
+module.exports = {
+    createFakeClock
+};
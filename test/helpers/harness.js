@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+const { createFakeClock } = require('./fakeClock');
+
+// Each test file runs in a process of its own, with its data in a fresh temporary directory.
+// These have to be set before server.js loads the stores that read them.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'skribbl-test-'));
+process.env.HISTORY_FILE = path.join(dataDir, 'history.json');
+process.env.MODERATION_FILE = path.join(dataDir, 'moderation.json');
+process.env.SNAPSHOT_FILE = path.join(dataDir, 'snapshot.json');
+process.env.ADMIN_API_KEY = 'test-admin-key';
+delete process.env.STATE_STORE;
+
+// The server logs every event; set TEST_VERBOSE=1 to see it
+if (!process.env.TEST_VERBOSE) console.log = () => {};
+
+const clock = require('../../clock');
+const server = require('../../server');
+
+const EVENT_TIMEOUT_MS = 2000;
+
+// Swaps in a fake clock for the game engine; the returned clock's tick() drives every game timer
+function useFakeClock() {
+    const fakeClock = createFakeClock();
+    clock.useClock(fakeClock);
+    return fakeClock;
+}
+
+// Boots the server on a port picked by the system and returns its URL
+async function startServer() {
+    const port = await server.start(0);
+    return `http://localhost:${port}`;
+}
+
+async function stopServer() {
+    await server.stop();
+    clock.useClock(null);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+}
+
+// A socket.io client that records everything it receives, so a test can wait for an event
+// that may already have arrived
+function connectClient(url, options = {}) {
+    const socket = io(url, { transports: ['websocket'], forceNew: true, reconnection: false, ...options });
+    const received = [];
+    const waiting = [];
+
+    socket.onAny((event, ...args) => {
+        const entry = { event, args, used: false };
+        received.push(entry);
+        const index = waiting.findIndex(waiter => waiter.matches(entry));
+        if (index !== -1) {
+            entry.used = true;
+            const waiter = waiting.splice(index, 1)[0];
+            clearTimeout(waiter.timer);
+            waiter.resolve(args[0]);
+        }
+    });
+
+    return {
+        socket,
+        get id() {
+            return socket.id;
+        },
+        emit: (event, ...args) => socket.emit(event, ...args),
+
+        // Resolves with the first payload of the next unclaimed `event` that passes `filter`
+        waitFor(event, filter = () => true, timeoutMs = EVENT_TIMEOUT_MS) {
+            const matches = entry => !entry.used && entry.event === event && filter(entry.args[0]);
+            const earlier = received.find(matches);
+            if (earlier) {
+                earlier.used = true;
+                return Promise.resolve(earlier.args[0]);
+            }
+
+            return new Promise((resolve, reject) => {
+                const waiter = { matches, resolve };
+                waiter.timer = setTimeout(() => {
+                    waiting.splice(waiting.indexOf(waiter), 1);
+                    reject(new Error(`Timed out waiting for ${event}`));
+                }, timeoutMs);
+                waiting.push(waiter);
+            });
+        },
+
+        // Every payload of `event` received so far
+        received: event => received.filter(entry => entry.event === event).map(entry => entry.args[0]),
+
+        connected: () => new Promise((resolve, reject) => {
+            if (socket.connected) return resolve();
+            socket.once('connect', resolve);
+            socket.once('connect_error', reject);
+        }),
+
+        close: () => socket.close()
+    };
+}
+
+// Polls until the server's state passes `condition`, for steps no single event marks
+async function waitUntil(condition, timeoutMs = EVENT_TIMEOUT_MS) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the server');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+async function loginAdmin(url) {
+    const response = await fetch(`${url}/api/admin/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ apiKey: process.env.ADMIN_API_KEY })
+    });
+    const { token } = await response.json();
+    return token;
+}
+
+// Creates a room hosted by the first name and joins the others, in order
+async function setUpRoom(url, names, settings = {}) {
+    const [host, ...guests] = names.map(() => connectClient(url));
+    host.emit('createRoom', { username: names[0], settings });
+    const roomId = await host.waitFor('roomCreated');
+
+    for (const [index, guest] of guests.entries()) {
+        guest.emit('joinRoom', { roomId, username: names[index + 1] });
+        await guest.waitFor('roomJoined');
+    }
+    return { roomId, clients: [host, ...guests] };
+}
+
+module.exports = {
+    server,
+    engine: server.engine,
+    useFakeClock,
+    startServer,
+    stopServer,
+    connectClient,
+    waitUntil,
+    loginAdmin,
+    setUpRoom
+};
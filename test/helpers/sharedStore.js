@@ -0,0 +1,61 @@
+const { ClusterAdapter } = require('socket.io-adapter');
+const { createMemoryStateStore } = require('../../stateStore');
+
+// Stand-in for the Redis store, for several server instances loaded into one test process.
+// They share one memory store, and their socket.io adapters pass messages to each other
+// the way the Redis adapter would through pub/sub.
+function createSharedMemoryStore() {
+    const store = createMemoryStateStore();
+    const adapters = [];
+    const bans = {};
+    let nextBanId = 1;
+
+    class MemoryClusterAdapter extends ClusterAdapter {
+        constructor(nsp) {
+            super(nsp);
+            adapters.push(this);
+        }
+
+        // Delivered on a later turn of the event loop, as a message from Redis would be
+        doPublish(message) {
+            adapters
+                .filter(adapter => adapter !== this && adapter.nsp.name === message.nsp)
+                .forEach(adapter => setImmediate(() => adapter.onMessage(message)));
+            return Promise.resolve('');
+        }
+
+        doPublishResponse(requesterUid, response) {
+            adapters
+                .filter(adapter => adapter.uid === requesterUid)
+                .forEach(adapter => setImmediate(() => adapter.onResponse(response)));
+            return Promise.resolve();
+        }
+    }
+
+    return {
+        ...store,
+        shared: true,
+
+        async addBan(ban) {
+            const saved = { ...ban, id: nextBanId++ };
+            bans[saved.id] = saved;
+            return saved;
+        },
+        async deleteBan(id) {
+            const ban = bans[id] || null;
+            delete bans[id];
+            return ban;
+        },
+        async listBans() {
+            return Object.values(bans);
+        },
+
+        createAdapter() {
+            return MemoryClusterAdapter;
+        }
+    };
+}
+
+module.exports = {
+    createSharedMemoryStore
+};
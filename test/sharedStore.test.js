@@ -0,0 +1,104 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const stateStore = require('../stateStore');
+const { createSharedMemoryStore } = require('./helpers/sharedStore');
+
+// Two server instances sharing a store, as two processes sharing Redis would. Both have to be
+// set up before the harness loads the first one.
+const sharedStore = createSharedMemoryStore();
+stateStore.createStateStore = () => sharedStore;
+process.env.ADMIN_TOKEN_SECRET = 'shared-test-secret';
+
+const { engine, startServer, stopServer, connectClient, setUpRoom } = require('./helpers/harness');
+
+// A second copy of the server module is a second process as far as the rooms are concerned
+function loadAnotherServer() {
+    const file = require.resolve('../server');
+    delete require.cache[file];
+    return require(file);
+}
+
+let url;
+let otherServer;
+let otherUrl;
+let openClients = [];
+
+function track(clients) {
+    openClients.push(...clients);
+    return clients;
+}
+
+describe('processes sharing a state store', () => {
+    before(async () => {
+        url = await startServer();
+        otherServer = loadAnotherServer();
+        otherUrl = `http://localhost:${await otherServer.start(0)}`;
+    });
+
+    afterEach(() => {
+        openClients.forEach(client => client.close());
+        openClients = [];
+    });
+
+    after(async () => {
+        await otherServer.stop();
+        await stopServer();
+    });
+
+    it('claims rooms and lists them on every process without their drawing', async () => {
+        const { roomId, clients } = await setUpRoom(url, ['ann'], { visibility: 'public' });
+        track(clients);
+
+        assert.ok(await sharedStore.getRoomOwner(roomId));
+        assert.strictEqual(await sharedStore.claimRoom(roomId, 'another-process', 1000), false);
+
+        const stored = await sharedStore.getRoom(roomId);
+        assert.strictEqual(stored.strokeLog, undefined);
+        assert.strictEqual(stored.wordList, undefined);
+
+        const listed = await (await fetch(`${otherUrl}/api/rooms`)).json();
+        assert.ok(JSON.stringify(listed).includes(roomId));
+    });
+
+    it('forwards events from another process to the room owner', async () => {
+        const { roomId, clients } = await setUpRoom(url, ['ann']);
+        const [host] = track(clients);
+        const [guest] = track([connectClient(otherUrl)]);
+
+        guest.emit('joinRoom', { roomId, username: 'ben' });
+        await guest.waitFor('roomJoined');
+        assert.strictEqual(engine.rooms[roomId].players.length, 2);
+        assert.strictEqual(otherServer.engine.rooms[roomId], undefined);
+
+        guest.emit('chatMessage', 'hello from afar');
+        await host.waitFor('chatMessage', chat => chat.message === 'hello from afar');
+        host.emit('chatMessage', 'hello back');
+        await guest.waitFor('chatMessage', chat => chat.message === 'hello back');
+    });
+
+    it('only asks the store about rooms this process does not own', async () => {
+        const { roomId, clients } = await setUpRoom(url, ['ann', 'ben']);
+        const [host, guest] = track(clients);
+        const [visitor] = track([connectClient(otherUrl)]);
+        visitor.emit('joinRoom', { roomId, username: 'cat' });
+        await visitor.waitFor('roomJoined');
+
+        const getPlayer = sharedStore.getPlayer;
+        let lookups = 0;
+        sharedStore.getPlayer = (...args) => {
+            lookups++;
+            return getPlayer(...args);
+        };
+        try {
+            host.emit('chatMessage', 'local');
+            await guest.waitFor('chatMessage', chat => chat.message === 'local');
+            assert.strictEqual(lookups, 0);
+
+            visitor.emit('chatMessage', 'remote');
+            await guest.waitFor('chatMessage', chat => chat.message === 'remote');
+            assert.strictEqual(lookups, 1);
+        } finally {
+            sharedStore.getPlayer = getPlayer;
+        }
+    });
+});
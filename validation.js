@@ -0,0 +1,184 @@
+// Payload schemas for every socket event a client can send. Each event lists its handler's
+// arguments, and the event its errors go back on. Handlers only run once every argument
+// has passed, and get the cleaned-up values: trimmed usernames, upper-case room codes and
+// objects holding only the fields their schema knows.
+const USERNAME_MAX_LENGTH = 20;
+// Letters and digits in any script, spaces, and _ - .
+const USERNAME_PATTERN = /^[\p{L}\p{N} _.-]+$/u;
+const ROOM_CODE_PATTERN = /^[A-Z0-9]{1,6}$/;
+const MAX_ID_LENGTH = 64;
+const MAX_TOKEN_LENGTH = 128;
+const MAX_WORD_LENGTH = 50;
+const MAX_REASON_LENGTH = 200;
+
+const USERNAME = { type: 'username' };
+const ROOM_CODE = { type: 'roomCode' };
+const PLAYER_ID = { type: 'string', name: 'Player id', maxLength: MAX_ID_LENGTH };
+const REASON = { type: 'string', name: 'Reason', maxLength: MAX_REASON_LENGTH, optional: true };
+const DURATION = { type: 'integer', name: 'Duration', optional: true };
+const FLAG = { type: 'boolean', optional: true };
+// Checked in full by the settings and drawing validators
+const SETTINGS = { type: 'object', name: 'Settings', optional: true };
+
+const EVENT_SCHEMAS = {
+    // A bare string is the username
+    createRoom: {
+        errorEvent: 'createRoomError',
+        args: [{
+            type: 'object',
+            shorthand: 'username',
+            fields: { username: USERNAME, settings: SETTINGS, isSpectator: FLAG, isAdmin: FLAG }
+        }]
+    },
+    joinRoom: {
+        errorEvent: 'joinError',
+        args: [{ type: 'object', fields: { roomId: ROOM_CODE, username: USERNAME, isSpectator: FLAG, isAdmin: FLAG } }]
+    },
+    quickPlay: {
+        errorEvent: 'joinError',
+        args: [{ type: 'object', fields: { username: USERNAME } }]
+    },
+    subscribeRoomList: { args: [] },
+    unsubscribeRoomList: { args: [] },
+    syncClock: { args: [] },
+    getRoomInfo: { errorEvent: 'roomNotFound', args: [ROOM_CODE] },
+    resumeSession: {
+        errorEvent: 'sessionError',
+        args: [{ type: 'string', name: 'Session token', maxLength: MAX_TOKEN_LENGTH }]
+    },
+
+    startGame: { errorEvent: 'startGameError', args: [SETTINGS] },
+    updateSettings: { errorEvent: 'settingsError', args: [{ ...SETTINGS, optional: false }] },
+    chooseWord: { errorEvent: 'chooseWordError', args: [{ type: 'string', name: 'Word', maxLength: MAX_WORD_LENGTH }] },
+    chooseTeam: { errorEvent: 'teamError', args: [{ type: 'string', name: 'Team', maxLength: MAX_ID_LENGTH }] },
+    drawingData: { errorEvent: 'drawingError', args: [{ type: 'object', name: 'Drawing operation' }] },
+    clearCanvas: { args: [] },
+    // Length is left to the chat checks, which tell the sender through chatBlocked
+    chatMessage: { errorEvent: 'chatError', args: [{ type: 'string', name: 'Message' }] },
+
+    startVoteKick: { errorEvent: 'voteKickError', args: [PLAYER_ID] },
+    castVote: { errorEvent: 'voteKickError', args: [{ type: 'boolean', name: 'Vote' }] },
+    reportDrawing: {
+        errorEvent: 'reportError',
+        args: [{ type: 'object', optional: true, fields: { reason: REASON } }]
+    },
+
+    adminSkipTurn: { args: [] },
+    adminEndGame: { args: [] },
+    adminPauseGame: { args: [] },
+    adminResumeGame: { args: [] },
+    adminAddTime: { errorEvent: 'adminError', args: [{ type: 'integer', name: 'Seconds' }] },
+    adminKickAll: { args: [] },
+    adminGetBans: { args: [] },
+    adminGetModerationLog: { args: [] },
+    // A bare string is the player id
+    adminKickPlayer: {
+        errorEvent: 'adminError',
+        args: [{ type: 'object', shorthand: 'playerId', fields: { playerId: PLAYER_ID, reason: REASON } }]
+    },
+    adminMutePlayer: {
+        errorEvent: 'adminError',
+        args: [{ type: 'object', fields: { playerId: PLAYER_ID, duration: DURATION, reason: REASON } }]
+    },
+    adminUnmutePlayer: { errorEvent: 'adminError', args: [PLAYER_ID] },
+    adminBanPlayer: {
+        errorEvent: 'adminError',
+        args: [{ type: 'object', fields: { playerId: PLAYER_ID, duration: DURATION, reason: REASON } }]
+    },
+    adminLiftBan: { errorEvent: 'adminError', args: [{ type: 'integer', name: 'Ban id' }] },
+    adminGetReport: { errorEvent: 'adminError', args: [{ type: 'integer', name: 'Report id' }] },
+    adminChatMessage: { errorEvent: 'adminError', args: [{ type: 'string', name: 'Message' }] }
+};
+
+// Usernames are trimmed with inner runs of whitespace collapsed, so "a  b" and "a b" are one name
+function validateUsername(value) {
+    if (typeof value !== 'string') return { error: 'Please enter a username' };
+
+    const username = value.trim().replace(/\s+/g, ' ');
+    if (username.length === 0) return { error: 'Please enter a username' };
+    if (username.length > USERNAME_MAX_LENGTH) {
+        return { error: `Usernames are limited to ${USERNAME_MAX_LENGTH} characters` };
+    }
+    if (!USERNAME_PATTERN.test(username)) {
+        return { error: 'Usernames can only contain letters, numbers, spaces and _ - .' };
+    }
+    return { value: username };
+}
+
+// Checks one value against its schema. Returns { value } with the cleaned-up value, or { error }.
+function checkValue(schema, value, name) {
+    if (value === undefined || value === null) {
+        if (schema.optional) return { value: undefined };
+        if (schema.type === 'username') return validateUsername(value);
+        return { error: `${name} is required` };
+    }
+
+    switch (schema.type) {
+        case 'username':
+            return validateUsername(value);
+
+        case 'roomCode': {
+            const code = typeof value === 'string' ? value.trim().toUpperCase() : '';
+            if (!ROOM_CODE_PATTERN.test(code)) return { error: 'Please enter a valid room code' };
+            return { value: code };
+        }
+
+        case 'string':
+            if (typeof value !== 'string') return { error: `${name} must be text` };
+            if (schema.maxLength && value.length > schema.maxLength) {
+                return { error: `${name} is limited to ${schema.maxLength} characters` };
+            }
+            return { value };
+
+        case 'boolean':
+            if (typeof value !== 'boolean') return { error: `${name} must be true or false` };
+            return { value };
+
+        case 'integer':
+            if (!Number.isInteger(value)) return { error: `${name} must be a whole number` };
+            return { value };
+
+        case 'object': {
+            if (typeof value === 'string' && schema.shorthand) {
+                return checkValue(schema, { [schema.shorthand]: value }, name);
+            }
+            if (typeof value !== 'object' || Array.isArray(value)) return { error: `${name} must be an object` };
+            if (!schema.fields) return { value };
+
+            const result = {};
+            for (const [field, fieldSchema] of Object.entries(schema.fields)) {
+                const checked = checkValue(fieldSchema, value[field], fieldSchema.name || field);
+                if (checked.error) return checked;
+                if (checked.value !== undefined) result[field] = checked.value;
+            }
+            return { value: result };
+        }
+
+        default:
+            return { error: `Unknown schema type: ${schema.type}` };
+    }
+}
+
+// Checks the arguments of a socket event. Returns { args } cleaned up for the handler, or { error }.
+// Arguments beyond the schema, including acknowledgement callbacks, are dropped.
+function validateEvent(event, args) {
+    const schema = EVENT_SCHEMAS[event];
+    if (!schema) return { error: `Unknown event: ${event}` };
+
+    const values = [];
+    for (let i = 0; i < schema.args.length; i++) {
+        const argSchema = schema.args[i];
+        const checked = checkValue(argSchema, args[i], argSchema.name || 'Request');
+        if (checked.error) return { error: checked.error };
+        values.push(checked.value);
+    }
+    return { args: values };
+}
+
+module.exports = {
+    USERNAME_MAX_LENGTH,
+    MAX_REASON_LENGTH,
+    EVENT_SCHEMAS,
+    validateUsername,
+    validateEvent
+};